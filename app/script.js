@@ -0,0 +1,5359 @@
+/**
+ * @file script.js
+ * @description PTA会計アプリのフロントエンドロジック。
+ * 普遍的コーディング設計原則に基づき、以下のモジュールに責務を分割しています。
+ * - applicationState: アプリケーション全体の状態を一元管理する。
+ * - roleService: 役職（会長・会計・監査・閲覧）ごとに許可される操作を定義する。
+ * - storageAdapters: 記録の保存先（Google Apps Script / ブラウザ内）ごとの送受信を実装する。
+ * - apiService: 保存先との通信責務を完全にカプセル化する。
+ * - sessionService: ログイン状態（セッショントークンと有効期限）を端末に保存・復元する。
+ * - offlineQueue: 通信できない間に保存された記録を端末内（IndexedDB）に一時保管する。
+ * - dataProcessor: UIから独立した、純粋なデータ変換・計算処理を担当する。
+ * - recordValidator: 入力された記録を規則ごとに確認し、欄ごとのエラー・注意を返す。
+ * - searchService: 内訳・支払先・備考・金額の検索と、一致した箇所の強調表示を担当する。
+ * - csvService: CSVの組み立て・解析と、Excel向けの文字コード変換を担当する。
+ * - receiptService: 領収証写真の縮小・圧縮を担当する。
+ * - chartRenderer: 集計結果からグラフ（SVG）を組み立てる。外部のグラフサービスは使わない。
+ * - uiManager: DOM操作と画面表示の更新というUI層の責務に特化する。
+ * - appController: ユーザー操作を起点とし、各モジュールを連携させるアプリケーションの司令塔。
+ * - app: HTMLのイベントハンドラから呼び出されるグローバルな公開インターフェース。
+ * 年度ごとの接続先や既定の項目一覧は ../years.js の fiscalYearRegistry から取得します。
+ */
+
+// --- 状態管理 (State) ---
+const applicationState = {
+  sessionToken: "",
+  sessionExpiresAt: 0,
+  selectedFiscalYear: "",
+  yearConfig: null,
+  accountingRecords: [],
+  role: "viewer",
+  permissions: {},
+  editingRecordId: null,
+  editingRecordVersion: null,
+  budgets: {},
+  previousYearClosingBalance: null,
+  pastYearRecords: {},
+  itemMaster: [],
+  itemMasterDraft: [],
+  csvImport: { rows: [], hasHeader: true, mapping: {} },
+  inputReceiptImages: [],
+  inputSplitLines: [],
+  shownValidationWarnings: [],
+  payeeReport: null,
+  isAuditMode: false,
+  deletedRecords: [],
+  changeHistory: [],
+  members: [],
+  hasUnsavedMembers: false,
+  collections: [],
+  hasUnsavedCollections: false,
+  reimbursements: [],
+  reimbursementReceiptImages: [],
+  pendingRecords: [],
+  isSyncingPendingRecords: false,
+};
+
+// --- 権限 (Roles) ---
+// 画面の制御は使い勝手のためのもので、書き込みの可否は保存先でも同じ表で確かめます（READMEの通信仕様を参照）。
+const roleService = {
+  ROLES: {
+    chair: {
+      label: "会長",
+      canWrite: true,
+      canDelete: false,
+      canAudit: false,
+      canManageSettings: true,
+      canApproveReimbursements: false,
+      canSubmitReimbursements: true,
+    },
+    treasurer: {
+      label: "会計",
+      canWrite: true,
+      canDelete: true,
+      canAudit: false,
+      canManageSettings: true,
+      canApproveReimbursements: true,
+      canSubmitReimbursements: true,
+    },
+    auditor: {
+      label: "監査",
+      canWrite: false,
+      canDelete: false,
+      canAudit: true,
+      canManageSettings: false,
+      canApproveReimbursements: false,
+      canSubmitReimbursements: true,
+    },
+    viewer: {
+      label: "閲覧",
+      canWrite: false,
+      canDelete: false,
+      canAudit: false,
+      canManageSettings: false,
+      canApproveReimbursements: false,
+      canSubmitReimbursements: true,
+    },
+  },
+
+  // 書き込み系の操作ごとに必要な権限（ここに無い操作は閲覧扱いで、誰でも実行できます）
+  ACTION_PERMISSIONS: {
+    write: "canWrite",
+    writeBulk: "canWrite",
+    update: "canWrite",
+    delete: "canDelete",
+    restore: "canDelete",
+    audit: "canAudit",
+    writeBudget: "canManageSettings",
+    writeItems: "canManageSettings",
+    writeMembers: "canWrite",
+    writeCollections: "canWrite",
+    approveReimbursement: "canApproveReimbursements",
+    rejectReimbursement: "canApproveReimbursements",
+    submitReimbursement: "canSubmitReimbursements",
+    renamePayees: "canManageSettings",
+  },
+
+  // read が role を返さない場合は editable から決めます（login に対応していない以前のバックエンドでは使えません）
+  resolveRole(readResult) {
+    if (readResult.role in this.ROLES) return readResult.role;
+    return readResult.editable ? "treasurer" : "viewer";
+  },
+
+  // 読み取り専用の年度は、立替金の申請も含めて閲覧のみにします
+  getPermissions(role, yearConfig) {
+    if (!yearConfig.readOnly) return this.ROLES[role];
+    return { ...this.ROLES.viewer, canSubmitReimbursements: false };
+  },
+
+  isActionAllowed(action, role, yearConfig) {
+    const requiredPermission = this.ACTION_PERMISSIONS[action];
+    return (
+      !requiredPermission ||
+      Boolean(this.getPermissions(role, yearConfig)[requiredPermission])
+    );
+  },
+};
+
+// --- 保存先アダプタ (Storage Adapters) ---
+// どのアダプタも { data } / { success } / { error } の形で応答します（READMEの通信仕様を参照）
+const storageAdapters = {
+  googleAppsScript: {
+    async send(requestBody, yearConfig) {
+      try {
+        const response = await fetch(yearConfig.endpoint, {
+          method: "POST",
+          body: JSON.stringify(requestBody),
+        });
+        if (!response.ok) {
+          throw new Error(`サーバーからの応答エラー: ${response.status}`);
+        }
+        return await response.json();
+      } catch (error) {
+        console.error("API通信中にエラーが発生しました:", error);
+        // 通信自体の失敗（TypeError）は、未送信キューに回せるよう区別します
+        return {
+          error: "通信に失敗しました。ネットワーク接続を確認してください。",
+          isNetworkError: error instanceof TypeError,
+        };
+      }
+    },
+  },
+
+  // サーバーを使わず、この端末のlocalStorageへ年度ごとに保存します
+  local: {
+    STORAGE_KEY_PREFIX: "pta-kaikei:local:",
+
+    _load(year) {
+      const stored = localStorage.getItem(this.STORAGE_KEY_PREFIX + year);
+      return {
+        records: [],
+        budgets: {},
+        items: [],
+        deletedRecords: [],
+        history: [],
+        members: [],
+        collections: [],
+        reimbursements: [],
+        clientIds: {},
+        ...(stored ? JSON.parse(stored) : {}),
+      };
+    },
+
+    SESSIONS_KEY: "pta-kaikei:local-sessions",
+
+    _loadSessions() {
+      const now = Date.now();
+      const sessions = JSON.parse(
+        localStorage.getItem(this.SESSIONS_KEY) || "{}",
+      );
+      return Object.fromEntries(
+        Object.entries(sessions).filter(
+          ([_token, session]) => session.expiresAt > now,
+        ),
+      );
+    },
+
+    _saveSessions(sessions) {
+      localStorage.setItem(this.SESSIONS_KEY, JSON.stringify(sessions));
+    },
+
+    _login(requestBody) {
+      const yearData = this._load(requestBody.year);
+      const role = this._resolveRole(yearData, requestBody.passcode);
+      if (!role) return { error: "合言葉が違います。" };
+
+      const token = Array.from(
+        crypto.getRandomValues(new Uint8Array(16)),
+        (byte) => byte.toString(16).padStart(2, "0"),
+      ).join("");
+      const expiresAt =
+        Date.now() + (requestBody.expiresInHours || 12) * 60 * 60 * 1000;
+      const sessions = this._loadSessions();
+      sessions[token] = { role, expiresAt };
+      this._saveSessions(sessions);
+      return { token, expiresAt, role };
+    },
+
+    _logout(requestBody) {
+      const sessions = this._loadSessions();
+      delete sessions[requestBody.token];
+      this._saveSessions(sessions);
+      return { success: true };
+    },
+
+    // roles（{ 合言葉: 役職 }）が未設定なら、この端末の利用者を会計として扱います
+    _resolveRole(yearData, passcode) {
+      const roles = yearData.roles || {};
+      if (Object.keys(roles).length === 0) return "treasurer";
+      return roles[passcode] || null;
+    },
+
+    _save(year, yearData) {
+      localStorage.setItem(
+        this.STORAGE_KEY_PREFIX + year,
+        JSON.stringify(yearData),
+      );
+    },
+
+    _toRecord(recordId, recordData, version = 1) {
+      const { date, item, details, amount, payee, memo, receipts } = recordData;
+      const { account, transferTo, splitGroupId } = recordData;
+      return [
+        recordId,
+        date,
+        item,
+        details,
+        amount,
+        payee,
+        memo,
+        receipts || [],
+        null,
+        version,
+        account || "",
+        transferTo || "",
+        splitGroupId || "",
+      ];
+    },
+
+    _findRecordIndex(yearData, requestBody, { checkVersion = true } = {}) {
+      const index = yearData.records.findIndex((record) =>
+        dataProcessor.isSameRecordId(record, requestBody.id),
+      );
+      if (index === -1) {
+        return {
+          error: "他の人がこの記録を削除しました。",
+          conflict: true,
+        };
+      }
+      const currentVersion = dataProcessor.getRecordVersion(
+        yearData.records[index],
+      );
+      if (checkVersion && currentVersion !== requestBody.expectedVersion) {
+        return { error: "他の人がこの記録を変更しました。", conflict: true };
+      }
+      return { index };
+    },
+
+    // 領収証画像・監査情報・版は容量が大きいか比較に不要なため、履歴には残しません
+    _appendHistory(yearData, role, action, before, after) {
+      const toHistoryValues = (record) =>
+        record
+          ? [...record.slice(0, 7), null, null, null, ...record.slice(10, 12)]
+          : null;
+      yearData.history.push({
+        at: new Date().toISOString(),
+        role,
+        action,
+        recordId: (after || before)[0],
+        before: toHistoryValues(before),
+        after: toHistoryValues(after),
+      });
+    },
+
+    _findPendingReimbursement(yearData, reimbursementId) {
+      const reimbursement = yearData.reimbursements.find(
+        (target) => target.id === reimbursementId,
+      );
+      if (!reimbursement) return { error: "申請が見つかりません。" };
+      if (reimbursement.status !== "pending") {
+        return { error: "この申請はすでに処理されています。", conflict: true };
+      }
+      return { reimbursement };
+    },
+
+    handlers: {
+      read: (yearData, requestBody, role) => ({
+        data: yearData.records,
+        editable: role === "treasurer" || role === "chair",
+        role,
+      }),
+
+      write(yearData, requestBody, role) {
+        const { clientId } = requestBody;
+        if (clientId && yearData.clientIds[clientId]) {
+          return { success: true, id: yearData.clientIds[clientId] };
+        }
+        const record = storageAdapters.local._toRecord(
+          dataProcessor.createId("r"),
+          requestBody,
+        );
+        yearData.records.push(record);
+        if (clientId) yearData.clientIds[clientId] = record[0];
+        storageAdapters.local._appendHistory(
+          yearData,
+          role,
+          "create",
+          null,
+          record,
+        );
+        return { success: true, id: record[0] };
+      },
+
+      writeBulk(yearData, requestBody, role) {
+        requestBody.records.forEach((recordData) =>
+          storageAdapters.local.handlers.write(yearData, recordData, role),
+        );
+        return { success: true, count: requestBody.records.length };
+      },
+
+      update(yearData, requestBody, role) {
+        const { index, ...failure } = storageAdapters.local._findRecordIndex(
+          yearData,
+          requestBody,
+        );
+        if (failure.error) return failure;
+        // 修正された記録は監査の確認をやり直します（コメントは残します）
+        const previousAudit = yearData.records[index][8];
+        const updatedRecord = storageAdapters.local._toRecord(
+          yearData.records[index][0],
+          requestBody,
+          requestBody.expectedVersion + 1,
+        );
+        if (previousAudit) {
+          updatedRecord[8] = { ...previousAudit, verified: false };
+        }
+        updatedRecord[12] = yearData.records[index][12] || "";
+        storageAdapters.local._appendHistory(
+          yearData,
+          role,
+          "update",
+          yearData.records[index],
+          updatedRecord,
+        );
+        yearData.records[index] = updatedRecord;
+        return { success: true };
+      },
+
+      audit(yearData, requestBody) {
+        const { index, ...failure } = storageAdapters.local._findRecordIndex(
+          yearData,
+          requestBody,
+          { checkVersion: false },
+        );
+        if (failure.error) return failure;
+        const record = yearData.records[index];
+        while (record.length < 8) record.push("");
+        record[8] = requestBody.audit;
+        return { success: true };
+      },
+
+      delete(yearData, requestBody, role) {
+        const { index, ...failure } = storageAdapters.local._findRecordIndex(
+          yearData,
+          requestBody,
+        );
+        if (failure.error) return failure;
+        const [record] = yearData.records.splice(index, 1);
+        yearData.deletedRecords.push({
+          record,
+          deletedAt: new Date().toISOString(),
+          deletedBy: role,
+        });
+        storageAdapters.local._appendHistory(
+          yearData,
+          role,
+          "delete",
+          record,
+          null,
+        );
+        return { success: true };
+      },
+
+      readDeleted: (yearData) => ({ data: yearData.deletedRecords }),
+
+      restore(yearData, requestBody, role) {
+        const index = yearData.deletedRecords.findIndex(({ record }) =>
+          dataProcessor.isSameRecordId(record, requestBody.id),
+        );
+        if (index === -1) {
+          return { error: "他の人がこの記録を復元しました。", conflict: true };
+        }
+        const [{ record }] = yearData.deletedRecords.splice(index, 1);
+        record[9] = dataProcessor.getRecordVersion(record) + 1;
+        yearData.records.push(record);
+        storageAdapters.local._appendHistory(
+          yearData,
+          role,
+          "restore",
+          null,
+          record,
+        );
+        return { success: true };
+      },
+
+      readHistory: (yearData) => ({ data: yearData.history }),
+
+      readBudget: (yearData) => ({ data: yearData.budgets }),
+
+      writeBudget(yearData, requestBody) {
+        yearData.budgets = requestBody.budgets;
+        return { success: true };
+      },
+
+      readItems: (yearData) => ({ data: yearData.items }),
+
+      writeItems(yearData, requestBody) {
+        yearData.items = requestBody.items;
+        requestBody.renames.forEach(({ from, to }) => {
+          yearData.records.forEach((record) => {
+            if (record[2] === from) record[2] = to;
+          });
+          if (from in yearData.budgets) {
+            yearData.budgets[to] = yearData.budgets[from];
+            delete yearData.budgets[from];
+          }
+        });
+        return { success: true };
+      },
+
+      readMembers: (yearData) => ({ data: yearData.members }),
+
+      writeMembers(yearData, requestBody) {
+        yearData.members = requestBody.members;
+        return { success: true };
+      },
+
+      readCollections: (yearData) => ({ data: yearData.collections }),
+
+      writeCollections(yearData, requestBody) {
+        yearData.collections = requestBody.collections;
+        return { success: true };
+      },
+
+      renamePayees(yearData, requestBody, role) {
+        let count = 0;
+        yearData.records.forEach((record, index) => {
+          if (!requestBody.from.includes(record[5])) return;
+          if (record[5] === requestBody.to) return;
+          const updatedRecord = [...record];
+          updatedRecord[5] = requestBody.to;
+          updatedRecord[9] = (Number(record[9]) || 1) + 1;
+          storageAdapters.local._appendHistory(
+            yearData,
+            role,
+            "update",
+            record,
+            updatedRecord,
+          );
+          yearData.records[index] = updatedRecord;
+          count++;
+        });
+        return { success: true, count };
+      },
+
+      readReimbursements: (yearData) => ({ data: yearData.reimbursements }),
+
+      submitReimbursement(yearData, requestBody, role) {
+        yearData.reimbursements.push({
+          ...requestBody.reimbursement,
+          id: dataProcessor.createId("p"),
+          status: "pending",
+          requestedAt: new Date().toISOString(),
+          requestedBy: role,
+        });
+        return { success: true };
+      },
+
+      // 台帳への記録と精算済みにすることを1つの操作にし、同時に承認されても二重に記録しません
+      approveReimbursement(yearData, requestBody, role) {
+        const { reimbursement, ...failure } =
+          storageAdapters.local._findPendingReimbursement(
+            yearData,
+            requestBody.id,
+          );
+        if (failure.error) return failure;
+        const { id: recordId } = storageAdapters.local.handlers.write(
+          yearData,
+          requestBody.record,
+          role,
+        );
+        Object.assign(reimbursement, {
+          status: "approved",
+          recordId,
+          settledOn: requestBody.record.date,
+          reviewComment: "",
+          reviewedAt: new Date().toISOString(),
+          reviewedBy: role,
+        });
+        return { success: true, id: recordId };
+      },
+
+      rejectReimbursement(yearData, requestBody, role) {
+        const { reimbursement, ...failure } =
+          storageAdapters.local._findPendingReimbursement(
+            yearData,
+            requestBody.id,
+          );
+        if (failure.error) return failure;
+        Object.assign(reimbursement, {
+          status: "rejected",
+          reviewComment: requestBody.reviewComment || "",
+          reviewedAt: new Date().toISOString(),
+          reviewedBy: role,
+        });
+        return { success: true };
+      },
+    },
+
+    async send(requestBody, yearConfig) {
+      if (requestBody.action === "login") return this._login(requestBody);
+      if (requestBody.action === "logout") return this._logout(requestBody);
+
+      const handler = this.handlers[requestBody.action];
+      if (!handler) {
+        return { error: `未対応の操作です: ${requestBody.action}` };
+      }
+      try {
+        const yearData = this._load(requestBody.year);
+        const session = this._loadSessions()[requestBody.token];
+        if (!session) {
+          return {
+            error: "ログインの有効期限が切れました。",
+            sessionExpired: true,
+          };
+        }
+        const role = session.role;
+        if (
+          !roleService.isActionAllowed(requestBody.action, role, yearConfig)
+        ) {
+          return { error: "この操作を行う権限がありません。" };
+        }
+        const result = handler(yearData, requestBody, role);
+        this._save(requestBody.year, yearData);
+        return JSON.parse(JSON.stringify(result));
+      } catch (error) {
+        console.error("ブラウザ内の保存領域でエラーが発生しました:", error);
+        return { error: "この端末への保存に失敗しました。" };
+      }
+    },
+  },
+};
+
+// --- API通信 (Service) ---
+const apiService = {
+  // ?storage=local を付けると、年度設定に関わらずブラウザ内保存で動かせます（動作確認用）
+  getStorageType(yearConfig) {
+    const requestedType = new URLSearchParams(window.location.search).get(
+      "storage",
+    );
+    return requestedType || yearConfig.storage || "googleAppsScript";
+  },
+
+  onSessionExpired: null,
+
+  async _sendRequest(requestAction, additionalPayload = {}) {
+    const requestBody = {
+      action: requestAction,
+      token: applicationState.sessionToken,
+      year: applicationState.selectedFiscalYear,
+      ...additionalPayload,
+    };
+    const isSessionRequired = requestAction !== "login";
+    if (isSessionRequired && Date.now() >= applicationState.sessionExpiresAt) {
+      return this._handleSessionExpired({
+        error: "ログインの有効期限が切れました。",
+        sessionExpired: true,
+      });
+    }
+    const yearConfig = fiscalYearRegistry.find(requestBody.year);
+    if (!yearConfig) {
+      return { error: `${requestBody.year}年度は登録されていません。` };
+    }
+
+    const adapter = storageAdapters[this.getStorageType(yearConfig)];
+    if (!adapter) {
+      return { error: "保存先の設定が正しくありません。" };
+    }
+    const result = await adapter.send(requestBody, yearConfig);
+    if (!result.sessionExpired) return result;
+    // 別の年度の接続先で期限切れと返されても、ログイン中の年度のセッションは切れていないためログアウトしません
+    if (
+      String(requestBody.year) !== String(applicationState.selectedFiscalYear)
+    ) {
+      return {
+        error: `${requestBody.year}年度の記録にアクセスできませんでした（${result.error}）`,
+      };
+    }
+    return this._handleSessionExpired(result);
+  },
+
+  _handleSessionExpired(result) {
+    if (this.onSessionExpired) this.onSessionExpired();
+    return result;
+  },
+
+  login: (passcode) =>
+    apiService._sendRequest("login", {
+      passcode,
+      expiresInHours: sessionService.SESSION_HOURS,
+    }),
+  logout: () => apiService._sendRequest("logout"),
+
+  fetchAllRecords: () => apiService._sendRequest("read"),
+  fetchRecordsOfYear: (fiscalYear) =>
+    apiService._sendRequest("read", { year: fiscalYear }),
+  postNewRecord: (recordData) => apiService._sendRequest("write", recordData),
+  postRecordsInBulk: (records) =>
+    apiService._sendRequest("writeBulk", { records }),
+  updateRecord: (recordId, expectedVersion, recordData) =>
+    apiService._sendRequest("update", {
+      id: recordId,
+      expectedVersion,
+      ...recordData,
+    }),
+  saveAudit: (recordId, audit) =>
+    apiService._sendRequest("audit", { id: recordId, audit }),
+  deleteRecord: (recordId, expectedVersion) =>
+    apiService._sendRequest("delete", { id: recordId, expectedVersion }),
+  fetchDeletedRecords: () => apiService._sendRequest("readDeleted"),
+  restoreRecord: (recordId) =>
+    apiService._sendRequest("restore", { id: recordId }),
+  fetchChangeHistory: () => apiService._sendRequest("readHistory"),
+  fetchBudgets: () => apiService._sendRequest("readBudget"),
+  saveBudgets: (budgets) => apiService._sendRequest("writeBudget", { budgets }),
+  fetchItemMasterOfYear: (fiscalYear) =>
+    apiService._sendRequest("readItems", { year: fiscalYear }),
+  saveItemMaster: (items, renames) =>
+    apiService._sendRequest("writeItems", { items, renames }),
+  renamePayees: (fromPayees, toPayee) =>
+    apiService._sendRequest("renamePayees", {
+      from: fromPayees,
+      to: toPayee,
+    }),
+  fetchMembers: () => apiService._sendRequest("readMembers"),
+  saveMembers: (members) =>
+    apiService._sendRequest("writeMembers", { members }),
+  fetchCollections: () => apiService._sendRequest("readCollections"),
+  saveCollections: (collections) =>
+    apiService._sendRequest("writeCollections", { collections }),
+  fetchReimbursements: () => apiService._sendRequest("readReimbursements"),
+  submitReimbursement: (reimbursement) =>
+    apiService._sendRequest("submitReimbursement", { reimbursement }),
+  approveReimbursement: (reimbursementId, recordData) =>
+    apiService._sendRequest("approveReimbursement", {
+      id: reimbursementId,
+      record: recordData,
+    }),
+  rejectReimbursement: (reimbursementId, reviewComment) =>
+    apiService._sendRequest("rejectReimbursement", {
+      id: reimbursementId,
+      reviewComment,
+    }),
+};
+
+// --- ログイン状態 (Session) ---
+const sessionService = {
+  STORAGE_KEY: "pta-kaikei:session",
+  SESSION_HOURS: 12,
+
+  save(session) {
+    localStorage.setItem(this.STORAGE_KEY, JSON.stringify(session));
+  },
+
+  load() {
+    try {
+      const session = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+      if (session && session.token && session.expiresAt > Date.now()) {
+        return session;
+      }
+    } catch (error) {
+      console.warn("保存されたログイン状態を読み取れませんでした:", error);
+    }
+    this.clear();
+    return null;
+  },
+
+  clear() {
+    localStorage.removeItem(this.STORAGE_KEY);
+  },
+};
+
+// --- 未送信キュー (Offline Queue) ---
+// 送信できなかった記録を { id, year, recordData, status, error, queuedAt } の形で保管します
+const offlineQueue = {
+  DB_NAME: "pta-kaikei",
+  DB_VERSION: 1,
+  STORE_NAME: "pendingRecords",
+  _databasePromise: null,
+
+  _openDatabase() {
+    if (!this._databasePromise) {
+      this._databasePromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.STORE_NAME, {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this._databasePromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this._databasePromise;
+  },
+
+  async _runRequest(mode, createRequest) {
+    const database = await this._openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(this.STORE_NAME, mode);
+      const request = createRequest(transaction.objectStore(this.STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  },
+
+  add: (entry) =>
+    offlineQueue._runRequest("readwrite", (store) => store.add(entry)),
+  update: (entry) =>
+    offlineQueue._runRequest("readwrite", (store) => store.put(entry)),
+  remove: (id) =>
+    offlineQueue._runRequest("readwrite", (store) => store.delete(id)),
+  getAll: () => offlineQueue._runRequest("readonly", (store) => store.getAll()),
+};
+
+// --- データ処理 (Business Logic) ---
+const dataProcessor = {
+  CARRY_FORWARD_ITEM_NAME: "前年度繰越金",
+  // 振替は口座間でお金を移すだけのため、収入にも支出にも数えません
+  TRANSFER_ITEM_NAME: "振替",
+  createDefaultItemMaster(defaultItems) {
+    const toItems = (itemNames, type) =>
+      itemNames.map((name, index) => ({
+        name,
+        type,
+        order: index + 1,
+        active: true,
+      }));
+    return [
+      ...toItems(defaultItems.income, "income"),
+      ...toItems(defaultItems.expense, "expense"),
+    ];
+  },
+
+  getItems(type, { includeRetired = false } = {}) {
+    return applicationState.itemMaster
+      .filter((item) => item.type === type && (includeRetired || item.active))
+      .sort((a, b) => a.order - b.order);
+  },
+
+  getItemNames(type, options) {
+    return this.getItems(type, options).map((item) => item.name);
+  },
+
+  // 突き合わせに使う項目は用途(purpose)で決めるため、項目名を変えても途切れません
+  ITEM_PURPOSES: {
+    membershipFee: { label: "会費", defaultName: "本年度会費" },
+    recycling: { label: "資源回収", defaultName: "資源回収収益" },
+  },
+
+  assignDefaultItemPurposes(items) {
+    Object.entries(this.ITEM_PURPOSES).forEach(([purpose, { defaultName }]) => {
+      if (items.some((item) => item.purpose === purpose)) return;
+      const item = items.find((target) => target.name === defaultName);
+      if (item) item.purpose = purpose;
+    });
+    return items;
+  },
+
+  getItemNameByPurpose(purpose) {
+    const item = applicationState.itemMaster.find(
+      (target) => target.purpose === purpose,
+    );
+    return item ? item.name : "";
+  },
+
+  isTransfer(itemName) {
+    return itemName === this.TRANSFER_ITEM_NAME;
+  },
+
+  getAccounts() {
+    const accounts = applicationState.yearConfig.accounts;
+    return accounts && accounts.length > 0 ? accounts : ["通帳"];
+  },
+
+  // 口座の無い以前の記録は先頭の口座とし、振替の記録では12列目が入金先の口座です
+  getRecordAccount(record) {
+    return record[10] || this.getAccounts()[0];
+  },
+
+  getTransferDestination(record) {
+    return record[11] || "";
+  },
+
+  calculateAccountBalances(records) {
+    const balances = new Map(this.getAccounts().map((account) => [account, 0]));
+    const addTo = (account, amount) =>
+      balances.set(account, (balances.get(account) || 0) + amount);
+
+    records.forEach((record) => {
+      const [_row, _date, itemName, _details, amountStr] = record;
+      const amount = parseFloat(amountStr) || 0;
+      const account = this.getRecordAccount(record);
+      if (this.isTransfer(itemName)) {
+        addTo(account, -amount);
+        addTo(this.getTransferDestination(record), amount);
+      } else {
+        addTo(account, this.isIncomeItem(itemName) ? amount : -amount);
+      }
+    });
+
+    return Array.from(balances, ([account, balance]) => ({ account, balance }));
+  },
+
+  isIncomeItem(itemName) {
+    return this.getItemNames("income", { includeRetired: true }).includes(
+      itemName,
+    );
+  },
+
+  // toISOString() はUTCになるため、ローカル日付から組み立てます
+  toLocalDateString(dateStr) {
+    const date = new Date(dateStr);
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return `${date.getFullYear()}-${month}-${day}`;
+  },
+
+  normalizeDateString(text) {
+    const match = String(text)
+      .trim()
+      .match(/^(\d{4})[-/.年](\d{1,2})[-/.月](\d{1,2})日?$/);
+    if (!match) return "";
+    const [_all, year, month, day] = match;
+    const date = new Date(Number(year), Number(month) - 1, Number(day));
+    if (date.getMonth() !== Number(month) - 1) return "";
+    return this.toLocalDateString(date);
+  },
+
+  parseAmount(text) {
+    const normalized = String(text).replace(/[,\s¥￥円]/g, "");
+    return normalized === "" ? NaN : Number(normalized);
+  },
+
+  // mapping は { date: 列番号, ... } で、-1 の項目は空欄として扱います
+  convertCsvRowsToRecords(rows, mapping) {
+    const knownItemNames = [
+      ...this.getItemNames("income", { includeRetired: true }),
+      ...this.getItemNames("expense", { includeRetired: true }),
+      this.TRANSFER_ITEM_NAME,
+    ];
+    const accounts = this.getAccounts();
+    const cellOf = (row, field) =>
+      mapping[field] >= 0 ? (row[mapping[field]] ?? "").trim() : "";
+
+    return rows.map((row) => {
+      const recordData = {
+        date: this.normalizeDateString(cellOf(row, "date")),
+        item: cellOf(row, "item"),
+        details: cellOf(row, "details"),
+        amount: Math.abs(this.parseAmount(cellOf(row, "amount"))),
+        payee: cellOf(row, "payee"),
+        memo: cellOf(row, "memo"),
+        account: cellOf(row, "account") || accounts[0],
+        transferTo: "",
+      };
+      const isTransfer = this.isTransfer(recordData.item);
+      if (isTransfer) recordData.transferTo = cellOf(row, "transferTo");
+
+      const errors = [];
+      if (!recordData.date) errors.push("日付が読み取れません");
+      if (!knownItemNames.includes(recordData.item)) {
+        errors.push(`項目「${recordData.item}」は項目一覧にありません`);
+      }
+      if (!accounts.includes(recordData.account)) {
+        errors.push(`口座「${recordData.account}」は口座の一覧にありません`);
+      }
+      if (isTransfer && !recordData.transferTo) {
+        errors.push("振替の行に振替先がありません");
+      } else if (isTransfer && !accounts.includes(recordData.transferTo)) {
+        errors.push(
+          `振替先「${recordData.transferTo}」は口座の一覧にありません`,
+        );
+      } else if (isTransfer && recordData.transferTo === recordData.account) {
+        errors.push("振替元と振替先が同じ口座です");
+      }
+      if (isNaN(recordData.amount) || recordData.amount === 0) {
+        errors.push("金額が読み取れません");
+      }
+      if (errors.length > 0) return { recordData, errors, warnings: [] };
+
+      const validationResult = recordValidator.validate(recordData, {
+        records: applicationState.accountingRecords,
+        fiscalYear: applicationState.selectedFiscalYear,
+        yearConfig: applicationState.yearConfig,
+      });
+      return {
+        recordData,
+        errors: validationResult.errors.map(({ message }) => message),
+        warnings: validationResult.warnings.map(({ message }) => message),
+      };
+    });
+  },
+
+  getFiscalMonths(fiscalYear) {
+    return Array.from({ length: 12 }, (_value, index) => {
+      const year = Number(fiscalYear) + (index >= 9 ? 1 : 0);
+      const month = ((index + 3) % 12) + 1;
+      return {
+        key: `${year}-${String(month).padStart(2, "0")}`,
+        label: `${month}月`,
+        year,
+        month,
+      };
+    });
+  },
+
+  getDateRange(periodValue, customFrom = "", customTo = "") {
+    if (periodValue === "_CUSTOM_") {
+      return { from: customFrom, to: customTo };
+    }
+    const monthMatch = /^(\d{4})-(\d{2})$/.exec(periodValue);
+    if (!monthMatch) return { from: "", to: "" };
+
+    const [_all, year, month] = monthMatch;
+    const lastDay = new Date(Number(year), Number(month), 0).getDate();
+    return { from: `${periodValue}-01`, to: `${periodValue}-${lastDay}` };
+  },
+
+  isWithinDateRange(dateStr, dateRange) {
+    const date = this.toLocalDateString(dateStr);
+    if (dateRange.from && date < dateRange.from) return false;
+    if (dateRange.to && date > dateRange.to) return false;
+    return true;
+  },
+
+  filterAndSortRecords(
+    records,
+    filterItem,
+    sortOrder,
+    dateRange = { from: "", to: "" },
+  ) {
+    const filteredRecords = records.filter((record) => {
+      const itemName = record[2];
+      if (!this.isWithinDateRange(record[1], dateRange)) return false;
+      if (filterItem === "ALL") return true;
+      if (filterItem === "_INCOME_ONLY_") return this.isIncomeItem(itemName);
+      if (filterItem === "_EXPENSES_ONLY_") {
+        return !this.isIncomeItem(itemName) && !this.isTransfer(itemName);
+      }
+      return itemName === filterItem;
+    });
+
+    const sortedRecords = [...filteredRecords].sort((a, b) => {
+      const dateA = new Date(a[1]);
+      const dateB = new Date(b[1]);
+      return sortOrder === "asc" ? dateA - dateB : dateB - dateA;
+    });
+    return this.keepSplitGroupsTogether(sortedRecords);
+  },
+
+  getSplitGroupId(record) {
+    return record[12] || "";
+  },
+
+  keepSplitGroupsTogether(records) {
+    const placedRecords = new Set();
+    return records.flatMap((record) => {
+      if (placedRecords.has(record)) return [];
+      const splitGroupId = this.getSplitGroupId(record);
+      const groupRecords = splitGroupId
+        ? records.filter(
+            (target) => this.getSplitGroupId(target) === splitGroupId,
+          )
+        : [record];
+      groupRecords.forEach((target) => placedRecords.add(target));
+      return groupRecords;
+    });
+  },
+
+  getSplitInfo(records, record) {
+    const splitGroupId = this.getSplitGroupId(record);
+    if (!splitGroupId) return null;
+    const groupRecords = records.filter(
+      (target) => this.getSplitGroupId(target) === splitGroupId,
+    );
+    return {
+      position: groupRecords.indexOf(record) + 1,
+      count: groupRecords.length,
+      total: groupRecords.reduce(
+        (sum, target) => sum + (Number(target[4]) || 0),
+        0,
+      ),
+      groupRecords,
+    };
+  },
+
+  calculateTotalsFromSelection(checkboxElements) {
+    let incomeTotal = 0;
+    let expenseTotal = 0;
+    let transferTotal = 0;
+
+    checkboxElements.forEach((checkbox) => {
+      if (!checkbox.checked) return;
+      const amount = parseFloat(checkbox.dataset.amount);
+      if (checkbox.dataset.transfer === "true") {
+        transferTotal += amount;
+      } else {
+        const isIncome = checkbox.dataset.income === "true";
+        if (isIncome) {
+          incomeTotal += amount;
+        } else {
+          expenseTotal += amount;
+        }
+      }
+    });
+
+    return {
+      incomeTotal,
+      expenseTotal,
+      transferTotal,
+      balance: incomeTotal - expenseTotal,
+    };
+  },
+
+  // 前年度の記録も分類できるよう、その年度の項目マスタを受け取ります
+  calculateClosingBalance(records, itemMaster) {
+    const incomeItemNames = itemMaster
+      .filter((item) => item.type === "income")
+      .map((item) => item.name);
+    return records.reduce((balance, record) => {
+      const [_row, _date, itemName, _details, amountStr] = record;
+      const amount = parseFloat(amountStr) || 0;
+      if (this.isTransfer(itemName)) return balance;
+      return incomeItemNames.includes(itemName)
+        ? balance + amount
+        : balance - amount;
+    }, 0);
+  },
+
+  // スプレッドシートのセルにはJSON文字列で入っている場合があります
+  _parseJsonCell(value) {
+    if (typeof value !== "string") return value;
+    try {
+      return JSON.parse(value);
+    } catch (_error) {
+      return null;
+    }
+  },
+
+  // 記録(r)・申請(p)・分割(s)・会員(m)・回収(c)など、種類を表す1文字に続けて作成時刻と乱数を並べます
+  createId(prefix) {
+    return `${prefix}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  },
+
+  // IDは数値・文字列のどちらでも返り得るため、文字列として比べます
+  isSameRecordId(record, recordId) {
+    return String(record[0]) === String(recordId);
+  },
+
+  findRecordById(records, recordId) {
+    return records.find((record) => this.isSameRecordId(record, recordId));
+  },
+
+  getRecordVersion(record) {
+    return Number(record[9]) || 1;
+  },
+
+  HISTORY_ACTION_LABELS: {
+    create: "追加",
+    update: "修正",
+    delete: "削除",
+    restore: "復元",
+  },
+
+  HISTORY_FIELD_LABELS: [
+    "ID",
+    "日付",
+    "項目",
+    "内訳",
+    "金額",
+    "支払先",
+    "備考",
+    null,
+    null,
+    null,
+    "口座",
+    "振替先",
+  ],
+
+  describeRecordValues(record) {
+    const [, dateStr, itemName, details, amount, payee] = record;
+    return [
+      new Date(dateStr).toLocaleDateString("ja-JP"),
+      itemName,
+      details,
+      `${Number(amount).toLocaleString()}円`,
+      payee,
+    ]
+      .filter(Boolean)
+      .join(" ");
+  },
+
+  describeHistoryEntry(entry) {
+    const { action, before, after } = entry;
+    if (action !== "update") {
+      return this.describeRecordValues(after || before);
+    }
+    const changes = this.HISTORY_FIELD_LABELS.map((label, column) => ({
+      label,
+      from: before[column] ?? "",
+      to: after[column] ?? "",
+    })).filter(({ label, from, to }) => label && String(from) !== String(to));
+    return changes.length > 0
+      ? changes
+          .map(({ label, from, to }) => `${label}: ${from} → ${to}`)
+          .join(" / ")
+      : "（内容の変更なし）";
+  },
+
+  getReceiptImages(record) {
+    const receipts = this._parseJsonCell(record[7]);
+    return Array.isArray(receipts) ? receipts : [];
+  },
+
+  getAuditInfo(record) {
+    const audit = this._parseJsonCell(record[8]);
+    return {
+      verified: false,
+      comment: "",
+      auditor: "",
+      verifiedAt: "",
+      ...(audit && typeof audit === "object" ? audit : {}),
+    };
+  },
+
+  buildAuditReport(records) {
+    const summary = this.calculateSummary(records);
+    const audits = records.map((record) => ({
+      record,
+      audit: this.getAuditInfo(record),
+    }));
+    return {
+      summary,
+      totalCount: records.length,
+      verifiedCount: audits.filter(({ audit }) => audit.verified).length,
+      commentedRecords: audits
+        .filter(({ audit }) => audit.comment)
+        .sort((a, b) => new Date(a.record[1]) - new Date(b.record[1])),
+    };
+  },
+
+  getCarryForwardRecords(records) {
+    return records.filter(
+      (record) => record[2] === this.CARRY_FORWARD_ITEM_NAME,
+    );
+  },
+
+  // 振替は団体全体の残高を変えないため載せません
+  buildCashBook(records) {
+    const sortedRecords = records
+      .filter((record) => !this.isTransfer(record[2]))
+      .sort((a, b) => {
+        const isCarryForwardA = a[2] === this.CARRY_FORWARD_ITEM_NAME;
+        const isCarryForwardB = b[2] === this.CARRY_FORWARD_ITEM_NAME;
+        if (isCarryForwardA !== isCarryForwardB)
+          return isCarryForwardA ? -1 : 1;
+        return new Date(a[1]) - new Date(b[1]);
+      });
+
+    let balance = 0;
+    let totalIncome = 0;
+    let totalExpense = 0;
+    const rows = sortedRecords.map((record) => {
+      const [_row, dateStr, itemName, details, amountStr] = record;
+      const amount = parseFloat(amountStr) || 0;
+      const isIncome = this.isIncomeItem(itemName);
+      const income = isIncome ? amount : 0;
+      const expense = isIncome ? 0 : amount;
+      balance += income - expense;
+      totalIncome += income;
+      totalExpense += expense;
+      return {
+        dateStr,
+        description: details ? `${itemName}（${details}）` : itemName,
+        income,
+        expense,
+        balance,
+      };
+    });
+
+    return { rows, totalIncome, totalExpense, finalBalance: balance };
+  },
+
+  calculateMonthlySummary(records, fiscalYear) {
+    const months = this.getFiscalMonths(fiscalYear);
+    const { incomeSummary, expenseSummary } = this.calculateSummary(records);
+    const createRows = (summaryRows) =>
+      summaryRows.map(({ itemName }) => ({
+        itemName,
+        monthlyAmounts: months.map(() => 0),
+        totalAmount: 0,
+      }));
+    const incomeRows = createRows(incomeSummary);
+    const expenseRows = createRows(expenseSummary);
+    const rowByItemName = new Map(
+      [...incomeRows, ...expenseRows].map((row) => [row.itemName, row]),
+    );
+
+    records.forEach((record) => {
+      const [_row, dateStr, itemName, _details, amountStr] = record;
+      const monthIndex = months.findIndex(
+        (month) => this.toLocalDateString(dateStr).slice(0, 7) === month.key,
+      );
+      const row = rowByItemName.get(itemName);
+      if (monthIndex === -1 || !row) return;
+
+      const amount = parseFloat(amountStr) || 0;
+      row.monthlyAmounts[monthIndex] += amount;
+      row.totalAmount += amount;
+    });
+
+    const sumRows = (rows) => ({
+      monthlyAmounts: months.map((_month, index) =>
+        rows.reduce((sum, row) => sum + row.monthlyAmounts[index], 0),
+      ),
+      totalAmount: rows.reduce((sum, row) => sum + row.totalAmount, 0),
+    });
+    const incomeTotal = sumRows(incomeRows);
+    const expenseTotal = sumRows(expenseRows);
+
+    return {
+      months,
+      incomeRows,
+      expenseRows,
+      incomeTotal,
+      expenseTotal,
+      balance: {
+        monthlyAmounts: months.map(
+          (_month, index) =>
+            incomeTotal.monthlyAmounts[index] -
+            expenseTotal.monthlyAmounts[index],
+        ),
+        totalAmount: incomeTotal.totalAmount - expenseTotal.totalAmount,
+      },
+    };
+  },
+
+  calculateSummary(records, budgets = {}) {
+    // 廃止した項目は、その年度に記録がある場合だけ載せます
+    const usedItemNames = new Set(records.map((record) => record[2]));
+    const getSummaryItemNames = (type) =>
+      this.getItems(type, { includeRetired: true })
+        .filter((item) => item.active || usedItemNames.has(item.name))
+        .map((item) => item.name);
+
+    const incomeMap = new Map();
+    getSummaryItemNames("income").forEach((item) => incomeMap.set(item, 0));
+    const expenseMap = new Map();
+    getSummaryItemNames("expense").forEach((item) => expenseMap.set(item, 0));
+
+    records.forEach((record) => {
+      const [_row, _date, itemName, _details, amountStr] = record;
+      const amount = parseFloat(amountStr);
+
+      if (incomeMap.has(itemName)) {
+        incomeMap.set(itemName, incomeMap.get(itemName) + amount);
+      } else if (expenseMap.has(itemName)) {
+        expenseMap.set(itemName, expenseMap.get(itemName) + amount);
+      }
+    });
+
+    const toSummaryRow = ([itemName, totalAmount]) => {
+      const budgetAmount = Number(budgets[itemName]) || 0;
+      return {
+        itemName,
+        totalAmount,
+        budgetAmount,
+        variance: totalAmount - budgetAmount,
+      };
+    };
+    const sumOf = (rows, key) => rows.reduce((sum, row) => sum + row[key], 0);
+
+    const incomeSummary = Array.from(incomeMap.entries()).map(toSummaryRow);
+    const expenseSummary = Array.from(expenseMap.entries()).map(toSummaryRow);
+    const totalIncome = sumOf(incomeSummary, "totalAmount");
+    const totalExpense = sumOf(expenseSummary, "totalAmount");
+    const totalIncomeBudget = sumOf(incomeSummary, "budgetAmount");
+    const totalExpenseBudget = sumOf(expenseSummary, "budgetAmount");
+
+    return {
+      incomeSummary,
+      expenseSummary,
+      totalIncome,
+      totalExpense,
+      totalIncomeBudget,
+      totalExpenseBudget,
+      finalBalance: totalIncome - totalExpense,
+      accountBalances: this.calculateAccountBalances(records),
+    };
+  },
+
+  _toPayeeKey(payee) {
+    return searchService
+      .normalize(payee)
+      .replace(/[\s〇○◯]/g, (char) => (/\s/.test(char) ? "" : "〇"));
+  },
+
+  buildPayeeDirectory(records, pastRecords = []) {
+    const payees = new Map();
+    const addRecord = (record, isSelectedYear) => {
+      const payee = record[5];
+      if (!payee) return;
+      if (!payees.has(payee)) {
+        payees.set(payee, { payee, count: 0, expenseTotal: 0, lastDate: "" });
+      }
+      const entry = payees.get(payee);
+      const date = this.toLocalDateString(record[1]);
+      if (date > entry.lastDate) entry.lastDate = date;
+      if (!isSelectedYear) return;
+      entry.count++;
+      if (!this.isIncomeItem(record[2]) && !this.isTransfer(record[2])) {
+        entry.expenseTotal += Number(record[4]) || 0;
+      }
+    };
+    records.forEach((record) => addRecord(record, true));
+    pastRecords.forEach((record) => addRecord(record, false));
+
+    const entries = [...payees.values()].map((entry) => ({
+      ...entry,
+      key: this._toPayeeKey(entry.payee),
+    }));
+    return entries
+      .map((entry) => ({
+        ...entry,
+        hasVariants: entries.some(
+          (other) => other !== entry && other.key === entry.key,
+        ),
+      }))
+      .sort((a, b) => a.key.localeCompare(b.key, "ja") || b.count - a.count);
+  },
+
+  buildPayeeReport(payee, yearlyRecords) {
+    const years = yearlyRecords.map(({ year, label, records }) => {
+      const payeeRecords = records.filter((record) => record[5] === payee);
+      return {
+        year,
+        label,
+        count: payeeRecords.length,
+        expenseTotal: payeeRecords
+          .filter(
+            (record) =>
+              !this.isIncomeItem(record[2]) && !this.isTransfer(record[2]),
+          )
+          .reduce((sum, record) => sum + (Number(record[4]) || 0), 0),
+        records: payeeRecords,
+      };
+    });
+    return {
+      payee,
+      years: years.filter((yearEntry) => yearEntry.count > 0),
+      transactions: years
+        .flatMap((yearEntry) => yearEntry.records)
+        .sort((a, b) => new Date(b[1]) - new Date(a[1])),
+    };
+  },
+
+  buildMembershipReport(members, records) {
+    const paidMembers = members.filter((member) => member.paidAt);
+    const collectedTotal = paidMembers.reduce(
+      (sum, member) => sum + (Number(member.paidAmount) || 0),
+      0,
+    );
+    const ledgerTotal = records
+      .filter(
+        (record) => record[2] === this.getItemNameByPurpose("membershipFee"),
+      )
+      .reduce((sum, record) => sum + (Number(record[4]) || 0), 0);
+    return {
+      memberCount: members.length,
+      paidCount: paidMembers.length,
+      unpaidMembers: members.filter((member) => !member.paidAt),
+      collectedTotal,
+      ledgerTotal,
+      difference: ledgerTotal - collectedTotal,
+    };
+  },
+
+  groupMembersByClass(members) {
+    const groups = new Map();
+    members.forEach((member) => {
+      const className = member.className || "";
+      if (!groups.has(className)) groups.set(className, []);
+      groups.get(className).push(member);
+    });
+    return [...groups.entries()]
+      .map(([className, classMembers]) => ({
+        className,
+        members: classMembers,
+      }))
+      .sort((a, b) => {
+        if (!a.className || !b.className) return a.className ? -1 : 1;
+        return a.className.localeCompare(b.className, "ja");
+      });
+  },
+
+  DEFAULT_RECYCLING_MATERIALS: ["新聞", "段ボール", "アルミ缶"],
+
+  getRecyclingMaterials() {
+    return (
+      applicationState.yearConfig.recyclingMaterials ||
+      this.DEFAULT_RECYCLING_MATERIALS
+    );
+  },
+
+  // 業者の計算に合わせ、品目ごとに 重さ(kg) × 単価(円/kg) を円未満切り捨てで合計します
+  // 2.3 × 100 = 229.99… で1円少なくならないよう、重さを0.1kg単位の整数にしてから掛けます
+  getCollectionExpectedAmount(collection) {
+    return collection.materials.reduce((sum, { weight, unitPrice }) => {
+      const weightInTenths = Math.round((Number(weight) || 0) * 10);
+      return sum + Math.floor((weightInTenths * (Number(unitPrice) || 0)) / 10);
+    }, 0);
+  },
+
+  buildCollectionReport(collections, records) {
+    const recyclingRecords = records.filter(
+      (record) => record[2] === this.getItemNameByPurpose("recycling"),
+    );
+    const payments = recyclingRecords.map((record) => {
+      const linkedCollections = collections.filter((collection) =>
+        this.isSameRecordId(record, collection.recordId),
+      );
+      const expectedAmount = linkedCollections.reduce(
+        (sum, collection) => sum + this.getCollectionExpectedAmount(collection),
+        0,
+      );
+      const receivedAmount = Number(record[4]) || 0;
+      return {
+        record,
+        collections: linkedCollections,
+        expectedAmount,
+        receivedAmount,
+        difference: receivedAmount - expectedAmount,
+      };
+    });
+
+    const materialTotals = this.getRecyclingMaterials().map((material) => {
+      const lines = collections.flatMap((collection) =>
+        collection.materials.filter((line) => line.material === material),
+      );
+      return {
+        material,
+        weight: lines.reduce(
+          (sum, line) => sum + (Number(line.weight) || 0),
+          0,
+        ),
+        expectedAmount: this.getCollectionExpectedAmount({ materials: lines }),
+      };
+    });
+
+    const totalExpected = collections.reduce(
+      (sum, collection) => sum + this.getCollectionExpectedAmount(collection),
+      0,
+    );
+    const totalReceived = payments.reduce(
+      (sum, payment) => sum + payment.receivedAmount,
+      0,
+    );
+    return {
+      materialTotals,
+      linkedPayments: payments.filter(
+        (payment) => payment.collections.length > 0,
+      ),
+      unlinkedRecords: payments
+        .filter((payment) => payment.collections.length === 0)
+        .map((payment) => payment.record),
+      unlinkedCollections: collections.filter(
+        (collection) =>
+          !recyclingRecords.some((record) =>
+            this.isSameRecordId(record, collection.recordId),
+          ),
+      ),
+      totalExpected,
+      totalReceived,
+      difference: totalReceived - totalExpected,
+    };
+  },
+
+  REIMBURSEMENT_STATUS_LABELS: {
+    pending: "承認待ち",
+    approved: "精算済み",
+    rejected: "却下",
+  },
+
+  createReimbursementRecordData(reimbursement, { date, account }) {
+    return {
+      date,
+      item: reimbursement.item,
+      details: reimbursement.details,
+      amount: Number(reimbursement.amount),
+      payee: reimbursement.payer,
+      memo: `立替精算（${reimbursement.date.replace(/-/g, "/")} 立替分）`,
+      receipts: reimbursement.receipts || [],
+      account,
+      transferTo: "",
+    };
+  },
+
+  buildDashboardData(records, budgets, fiscalYear) {
+    const { expenseSummary } = this.calculateSummary(records, budgets);
+    const { months, incomeTotal, expenseTotal } = this.calculateMonthlySummary(
+      records,
+      fiscalYear,
+    );
+    const accumulate = (amounts) => {
+      let runningTotal = 0;
+      return amounts.map((amount) => (runningTotal += amount));
+    };
+
+    return {
+      expenseByItem: expenseSummary
+        .filter((row) => row.totalAmount > 0)
+        .sort((a, b) => b.totalAmount - a.totalAmount),
+      monthLabels: months.map((month) => month.label),
+      cumulativeIncome: accumulate(incomeTotal.monthlyAmounts),
+      cumulativeExpense: accumulate(expenseTotal.monthlyAmounts),
+      budgetUsage: expenseSummary
+        .filter((row) => row.budgetAmount > 0)
+        .map((row) => ({
+          ...row,
+          usageRate: Math.round((row.totalAmount / row.budgetAmount) * 100),
+        })),
+    };
+  },
+};
+
+// --- 入力チェック (Validation) ---
+// "error" は保存できず、"warning" は確認の上で保存できます（年度設定の validation で変えられます）
+const recordValidator = {
+  DEFAULT_SETTINGS: {
+    largeAmount: 100000,
+    levels: {
+      required: "error",
+      transferAccounts: "error",
+      outsideFiscalYear: "error",
+      splitLines: "error",
+      futureDate: "warning",
+      largeAmount: "warning",
+      duplicate: "warning",
+    },
+  },
+
+  getSettings(yearConfig) {
+    const yearSettings = (yearConfig && yearConfig.validation) || {};
+    return {
+      ...this.DEFAULT_SETTINGS,
+      ...yearSettings,
+      levels: { ...this.DEFAULT_SETTINGS.levels, ...yearSettings.levels },
+    };
+  },
+
+  // 各規則は { field, message } の配列を返します（問題が無ければ空配列）。
+  RULES: {
+    required(recordData, { splitLines }) {
+      const problems = [];
+      if (!recordData.date) {
+        problems.push({ field: "date", message: "日付を入力してください" });
+      }
+      if (!recordData.item && splitLines.length === 0) {
+        problems.push({ field: "item", message: "項目を選択してください" });
+      }
+      if (isNaN(recordData.amount) || recordData.amount === 0) {
+        problems.push({ field: "amount", message: "金額を入力してください" });
+      }
+      return problems;
+    },
+
+    transferAccounts(recordData) {
+      const isInvalid =
+        dataProcessor.isTransfer(recordData.item) &&
+        (!recordData.transferTo ||
+          recordData.transferTo === recordData.account);
+      return isInvalid
+        ? [
+            {
+              field: "transferTo",
+              message: "出金元と異なる入金先の口座を選んでください",
+            },
+          ]
+        : [];
+    },
+
+    outsideFiscalYear(recordData, { fiscalYear }) {
+      if (!recordData.date) return [];
+      const from = `${fiscalYear}-04-01`;
+      const to = `${Number(fiscalYear) + 1}-03-31`;
+      return recordData.date < from || recordData.date > to
+        ? [
+            {
+              field: "date",
+              message: `${fiscalYear}年度（${from.replace(/-/g, "/")}〜${to.replace(/-/g, "/")}）の日付ではありません`,
+            },
+          ]
+        : [];
+    },
+
+    splitLines(recordData, { splitLines }) {
+      if (splitLines.length === 0) return [];
+      const problems = [];
+      if (splitLines.length < 2) {
+        problems.push({
+          field: "split",
+          message: "2行以上に分けてください",
+        });
+      }
+      if (splitLines.some((line) => !line.item || !(line.amount > 0))) {
+        problems.push({
+          field: "split",
+          message: "各行の項目と金額を入力してください",
+        });
+      }
+      const linesTotal = splitLines.reduce(
+        (sum, line) => sum + (line.amount || 0),
+        0,
+      );
+      if (linesTotal !== recordData.amount) {
+        problems.push({
+          field: "split",
+          message: `各行の合計（${linesTotal.toLocaleString()}円）が合計金額（${(recordData.amount || 0).toLocaleString()}円）と一致しません`,
+        });
+      }
+      return problems;
+    },
+
+    futureDate(recordData, { today }) {
+      return recordData.date && recordData.date > today
+        ? [{ field: "date", message: "未来の日付です" }]
+        : [];
+    },
+
+    largeAmount(recordData, { settings }) {
+      return recordData.amount >= settings.largeAmount
+        ? [
+            {
+              field: "amount",
+              message: `${settings.largeAmount.toLocaleString()}円以上の金額です。桁を確認してください`,
+            },
+          ]
+        : [];
+    },
+
+    duplicate(recordData, { records, editingRecordId }) {
+      const duplicateRecord = records.find(
+        (record) =>
+          !dataProcessor.isSameRecordId(record, editingRecordId) &&
+          dataProcessor.toLocalDateString(record[1]) === recordData.date &&
+          record[2] === recordData.item &&
+          Number(record[4]) === recordData.amount,
+      );
+      return duplicateRecord
+        ? [
+            {
+              field: "item",
+              message:
+                "同じ日付・項目・金額の記録がすでにあります（二重入力の可能性）",
+            },
+          ]
+        : [];
+    },
+  },
+
+  validate(recordData, context) {
+    const settings = this.getSettings(context.yearConfig);
+    const ruleContext = {
+      today: dataProcessor.toLocalDateString(new Date()),
+      splitLines: [],
+      ...context,
+      settings,
+    };
+    const result = { errors: [], warnings: [] };
+
+    Object.entries(this.RULES).forEach(([ruleName, rule]) => {
+      const level = settings.levels[ruleName];
+      if (level !== "error" && level !== "warning") return;
+      const problems = rule(recordData, ruleContext);
+      result[level === "error" ? "errors" : "warnings"].push(...problems);
+    });
+    return result;
+  },
+};
+
+// --- 検索 (Search) ---
+const searchService = {
+  normalize(text) {
+    return String(text ?? "")
+      .normalize("NFKC")
+      .replace(/[\u30a1-\u30f6]/g, (char) =>
+        String.fromCharCode(char.charCodeAt(0) - 0x60),
+      )
+      .toLowerCase();
+  },
+
+  parseQuery(query) {
+    return this.normalize(query).split(/\s+/).filter(Boolean);
+  },
+
+  _toAmountTerm(term) {
+    const digits = term.replace(/[,¥￥円]/g, "");
+    return /^\d+$/.test(digits) ? digits : "";
+  },
+
+  matchesAmount(amount, terms) {
+    return terms.some((term) => {
+      const amountTerm = this._toAmountTerm(term);
+      return amountTerm !== "" && String(Number(amount)).includes(amountTerm);
+    });
+  },
+
+  _matchesTerm(record, term) {
+    const [_recordId, _date, _item, details, amount, payee, memo] = record;
+    return (
+      [details, payee, memo].some((text) =>
+        this.normalize(text).includes(term),
+      ) || this.matchesAmount(amount, [term])
+    );
+  },
+
+  filterRecords(records, terms) {
+    if (terms.length === 0) return records;
+    return records.filter((record) =>
+      terms.every((term) => this._matchesTerm(record, term)),
+    );
+  },
+
+  // そろえた後の位置を元の文字列の位置に戻すため、1文字ずつそろえます
+  highlight(text, terms) {
+    const original = String(text ?? "");
+    if (terms.length === 0 || !original) return uiManager.escapeHtml(original);
+
+    let normalized = "";
+    const sourceRanges = [];
+    for (let index = 0; index < original.length;) {
+      // 半角カナの濁点・半濁点（ｶﾞ など）は前の文字と合わせて1文字になるため、まとめてそろえます
+      const [char] = original
+        .slice(index)
+        .match(/^[\s\S][\uff9e\uff9f\u3099\u309a]*/u);
+      const normalizedChar = this.normalize(char);
+      for (let unit = 0; unit < normalizedChar.length; unit++) {
+        sourceRanges.push({ start: index, end: index + char.length });
+      }
+      normalized += normalizedChar;
+      index += char.length;
+    }
+
+    const isMarked = new Array(original.length).fill(false);
+    terms.forEach((term) => {
+      for (
+        let found = normalized.indexOf(term);
+        found !== -1;
+        found = normalized.indexOf(term, found + 1)
+      ) {
+        const start = sourceRanges[found].start;
+        const end = sourceRanges[found + term.length - 1].end;
+        isMarked.fill(true, start, end);
+      }
+    });
+
+    let html = "";
+    for (let index = 0; index < original.length; index++) {
+      if (isMarked[index] && !isMarked[index - 1]) html += "<mark>";
+      html += uiManager.escapeHtml(original[index]);
+      if (isMarked[index] && !isMarked[index + 1]) html += "</mark>";
+    }
+    return html;
+  },
+};
+
+// --- CSV入出力 (CSV) ---
+const csvService = {
+  FIELDS: [
+    { key: "date", label: "日付", aliases: ["日付", "年月日", "date"] },
+    { key: "item", label: "項目", aliases: ["項目", "科目", "item"] },
+    { key: "details", label: "内訳", aliases: ["内訳", "摘要", "内容"] },
+    { key: "amount", label: "金額", aliases: ["金額", "金額(円)", "amount"] },
+    { key: "payee", label: "支払先", aliases: ["支払先", "支出先", "取引先"] },
+    { key: "memo", label: "備考", aliases: ["備考", "メモ", "memo"] },
+    { key: "account", label: "口座", aliases: ["口座", "出金元", "account"] },
+    {
+      key: "transferTo",
+      label: "振替先",
+      aliases: ["振替先", "入金先", "transferto"],
+    },
+  ],
+  _shiftJisTable: null,
+
+  _escapeCell(value) {
+    const text = String(value ?? "");
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  },
+
+  buildCsv(records) {
+    const headerLine = this.FIELDS.map((field) => field.label).join(",");
+    const lines = records.map((record) => {
+      const [_recordId, dateStr, itemName, details, amountNum, payee, memo] =
+        record;
+      return [
+        dataProcessor.toLocalDateString(dateStr),
+        itemName,
+        details,
+        Number(amountNum),
+        payee,
+        memo,
+        dataProcessor.getRecordAccount(record),
+        dataProcessor.getTransferDestination(record),
+      ]
+        .map((value) => this._escapeCell(value))
+        .join(",");
+    });
+    return [headerLine, ...lines].join("\r\n") + "\r\n";
+  },
+
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let isQuoted = false;
+
+    for (let index = 0; index < text.length; index++) {
+      const char = text[index];
+      if (isQuoted) {
+        if (char === '"' && text[index + 1] === '"') {
+          cell += '"';
+          index++;
+        } else if (char === '"') {
+          isQuoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        isQuoted = true;
+      } else if (char === ",") {
+        row.push(cell);
+        cell = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[index + 1] === "\n") index++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = "";
+      } else {
+        cell += char;
+      }
+    }
+    if (cell !== "" || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+  },
+
+  // 見出しで判断できなければ、このアプリが出力したCSVと同じ並びとみなします
+  guessMapping(headerRow) {
+    const normalizedHeaders = headerRow.map((header) =>
+      header.trim().toLowerCase(),
+    );
+    const legacyFieldCount = this.FIELDS.findIndex(
+      (field) => field.key === "account",
+    );
+    const isSameLayout =
+      headerRow.length === this.FIELDS.length ||
+      headerRow.length === legacyFieldCount;
+    const mapping = {};
+    this.FIELDS.forEach((field, fieldIndex) => {
+      const index = normalizedHeaders.findIndex((header) =>
+        field.aliases.includes(header),
+      );
+      mapping[field.key] =
+        index === -1 && isSameLayout && fieldIndex < headerRow.length
+          ? fieldIndex
+          : index;
+    });
+    return mapping;
+  },
+
+  // TextEncoderはUTF-8しか扱えないため、TextDecoderで逆引き表を作ってShift_JISに変換します
+  _getShiftJisTable() {
+    if (this._shiftJisTable) return this._shiftJisTable;
+
+    const table = new Map();
+    const decoder = new TextDecoder("shift_jis");
+    for (let code = 0xa1; code <= 0xdf; code++) {
+      table.set(String.fromCharCode(0xff61 + code - 0xa1), [code]);
+    }
+    const leadBytes = [];
+    for (let lead = 0x81; lead <= 0x9f; lead++) leadBytes.push(lead);
+    for (let lead = 0xe0; lead <= 0xfc; lead++) leadBytes.push(lead);
+    leadBytes.forEach((lead) => {
+      for (let trail = 0x40; trail <= 0xfc; trail++) {
+        if (trail === 0x7f) continue;
+        const char = decoder.decode(new Uint8Array([lead, trail]));
+        if (char.length === 1 && char !== "\ufffd" && !table.has(char)) {
+          table.set(char, [lead, trail]);
+        }
+      }
+    });
+
+    this._shiftJisTable = table;
+    return table;
+  },
+
+  encodeShiftJis(text) {
+    const table = this._getShiftJisTable();
+    const bytes = [];
+    for (const char of text) {
+      const code = char.charCodeAt(0);
+      if (code < 0x80) {
+        bytes.push(code);
+      } else {
+        bytes.push(...(table.get(char) || [0x3f]));
+      }
+    }
+    return new Uint8Array(bytes);
+  },
+
+  // BOMの無いUTF-8は、ExcelがShift_JISとみなして文字化けします
+  createCsvBlob(text, encoding) {
+    const type = "text/csv";
+    if (encoding === "shift_jis") {
+      return new Blob([this.encodeShiftJis(text)], { type });
+    }
+    return new Blob(["\ufeff", text], { type: `${type};charset=utf-8` });
+  },
+
+  decode(arrayBuffer) {
+    const bytes = new Uint8Array(arrayBuffer);
+    const hasBom = bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf;
+    if (hasBom) {
+      return new TextDecoder("utf-8").decode(bytes.subarray(3));
+    }
+    try {
+      return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+    } catch (_error) {
+      return new TextDecoder("shift_jis").decode(bytes);
+    }
+  },
+};
+
+// --- 領収証写真 (Receipts) ---
+const receiptService = {
+  MAX_IMAGE_SIZE: 1280,
+  JPEG_QUALITY: 0.7,
+
+  _loadImage(file) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const image = new Image();
+      image.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(image);
+      };
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error(`画像を読み込めませんでした: ${file.name}`));
+      };
+      image.src = url;
+    });
+  },
+
+  async compressImage(file) {
+    const image = await this._loadImage(file);
+    const scale = Math.min(
+      1,
+      this.MAX_IMAGE_SIZE / Math.max(image.naturalWidth, image.naturalHeight),
+    );
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(image.naturalWidth * scale);
+    canvas.height = Math.round(image.naturalHeight * scale);
+    canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL("image/jpeg", this.JPEG_QUALITY);
+  },
+};
+
+// --- グラフ (Charts) ---
+const chartRenderer = {
+  WIDTH: 600,
+  COLORS: {
+    income: "#1e88e5",
+    expense: "#d32f2f",
+    withinBudget: "#4caf50",
+    grid: "#ddd",
+    text: "#333",
+  },
+
+  _niceCeiling(value) {
+    if (value <= 0) return 1;
+    const magnitude = 10 ** Math.floor(Math.log10(value));
+    const step = [1, 2, 5, 10].find((factor) => value <= factor * magnitude);
+    return step * magnitude;
+  },
+
+  barChart(rows, { maxValue, referenceValue } = {}) {
+    const labelWidth = 170;
+    const valueLabelWidth = 150;
+    const barAreaWidth = this.WIDTH - labelWidth - valueLabelWidth;
+    const rowHeight = 26;
+    const height = rows.length * rowHeight + 10;
+    const scaleMax =
+      maxValue ||
+      Math.max(...rows.map((row) => row.value), referenceValue || 0);
+    const toWidth = (value) =>
+      scaleMax > 0 ? (Math.min(value, scaleMax) / scaleMax) * barAreaWidth : 0;
+
+    const barsSvg = rows
+      .map((row, index) => {
+        const y = index * rowHeight + 5;
+        const barWidth = toWidth(row.value);
+        return `
+          <text x="${labelWidth - 6}" y="${y + 15}" text-anchor="end" font-size="12" fill="${this.COLORS.text}">${uiManager.escapeHtml(row.label)}</text>
+          <rect x="${labelWidth}" y="${y + 3}" width="${barWidth}" height="${rowHeight - 8}" fill="${row.color}" />
+          <text x="${labelWidth + barWidth + 6}" y="${y + 15}" font-size="11" fill="${this.COLORS.text}">${row.valueLabel}</text>`;
+      })
+      .join("");
+    const referenceX = labelWidth + toWidth(referenceValue);
+    const referenceSvg = referenceValue
+      ? `<line x1="${referenceX}" y1="0" x2="${referenceX}" y2="${height}" stroke="${this.COLORS.text}" stroke-dasharray="4 3" />`
+      : "";
+
+    return `<svg class="chart" viewBox="0 0 ${this.WIDTH} ${height}" width="100%" role="img">${barsSvg}${referenceSvg}</svg>`;
+  },
+
+  lineChart(labels, series) {
+    const height = 280;
+    const padding = { top: 30, right: 20, bottom: 30, left: 80 };
+    const plotWidth = this.WIDTH - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const scaleMax = this._niceCeiling(
+      Math.max(...series.flatMap((line) => line.values)),
+    );
+    const round = (coordinate) => Math.round(coordinate * 10) / 10;
+    const toX = (index) =>
+      round(
+        padding.left + (plotWidth * index) / Math.max(labels.length - 1, 1),
+      );
+    const toY = (value) =>
+      round(padding.top + plotHeight - (value / scaleMax) * plotHeight);
+
+    const gridSvg = [0, 0.25, 0.5, 0.75, 1]
+      .map((ratio) => {
+        const y = toY(scaleMax * ratio);
+        return `
+          <line x1="${padding.left}" y1="${y}" x2="${this.WIDTH - padding.right}" y2="${y}" stroke="${this.COLORS.grid}" />
+          <text x="${padding.left - 6}" y="${y + 4}" text-anchor="end" font-size="11" fill="${this.COLORS.text}">${(scaleMax * ratio).toLocaleString()}</text>`;
+      })
+      .join("");
+    const labelsSvg = labels
+      .map(
+        (label, index) =>
+          `<text x="${toX(index)}" y="${height - 10}" text-anchor="middle" font-size="11" fill="${this.COLORS.text}">${label}</text>`,
+      )
+      .join("");
+    const linesSvg = series
+      .map((line) => {
+        const points = line.values
+          .map((value, index) => `${toX(index)},${toY(value)}`)
+          .join(" ");
+        return `<polyline points="${points}" fill="none" stroke="${line.color}" stroke-width="2.5" />`;
+      })
+      .join("");
+    const legendSvg = series
+      .map(
+        (line, index) => `
+          <rect x="${padding.left + index * 120}" y="8" width="14" height="4" fill="${line.color}" />
+          <text x="${padding.left + index * 120 + 20}" y="14" font-size="12" fill="${this.COLORS.text}">${line.name}</text>`,
+      )
+      .join("");
+
+    return `<svg class="chart" viewBox="0 0 ${this.WIDTH} ${height}" width="100%" role="img">${gridSvg}${labelsSvg}${linesSvg}${legendSvg}</svg>`;
+  },
+};
+
+// --- UI操作 (View) ---
+const uiManager = {
+  domElements: {
+    passcode: document.getElementById("passcode"),
+    selectYear: document.getElementById("select-year"),
+    storageNotice: document.getElementById("storage-notice"),
+    loginScreen: document.getElementById("login-screen"),
+    mainScreen: document.getElementById("main-screen"),
+    displayYear: document.getElementById("display-year"),
+    roleIndicator: document.getElementById("role-indicator"),
+    auditCard: document.getElementById("audit-card"),
+    viewBody: document.getElementById("view-body"),
+    reportBody: document.getElementById("report-body"),
+    inputItem: document.getElementById("input-item"),
+    viewAccountBalances: document.getElementById("view-account-balances"),
+    validationSummary: document.getElementById("input-validation-summary"),
+    summaryAccountBody: document.getElementById("summary-account-body"),
+    summaryAccountTotal: document.getElementById("summary-account-total"),
+    filterItem: document.getElementById("filter-item"),
+    sortOrder: document.getElementById("sort-order"),
+    filterSearch: document.getElementById("filter-search"),
+    filterPeriod: document.getElementById("filter-period"),
+    filterCustomRange: document.getElementById("filter-custom-range"),
+    filterDateFrom: document.getElementById("filter-date-from"),
+    filterDateTo: document.getElementById("filter-date-to"),
+    viewTotalIncome: document.getElementById("view-total-income"),
+    viewTotalExpense: document.getElementById("view-total-expense"),
+    viewTotalBalance: document.getElementById("view-total-balance"),
+    carryForwardWarning: document.getElementById("carry-forward-warning"),
+    printTitleItem: document.getElementById("print-title-item"),
+    printTotal: document.getElementById("print-total"),
+    btnSave: document.getElementById("btn-save"),
+    btnUpdate: document.getElementById("btn-update"),
+    btnCancelEdit: document.getElementById("btn-cancel-edit"),
+    receiptBox: document.getElementById("receipt-box"),
+    inputReceiptsPreview: document.getElementById("input-receipts-preview"),
+    receiptViewer: document.getElementById("receipt-viewer"),
+    receiptViewerImages: document.getElementById("receipt-viewer-images"),
+    summaryPrintTitleIncome: document.getElementById(
+      "summary-print-title-income",
+    ),
+    summaryPrintTitleExpense: document.getElementById(
+      "summary-print-title-expense",
+    ),
+    summaryIncomeBody: document.getElementById("summary-income-body"),
+    summaryBudgetIncome: document.getElementById("summary-budget-income"),
+    summaryTotalIncome: document.getElementById("summary-total-income"),
+    summaryVarianceIncome: document.getElementById("summary-variance-income"),
+    summaryExpenseBody: document.getElementById("summary-expense-body"),
+    summaryBudgetExpense: document.getElementById("summary-budget-expense"),
+    summaryTotalExpense: document.getElementById("summary-total-expense"),
+    summaryVarianceExpense: document.getElementById("summary-variance-expense"),
+    monthlyTitle: document.getElementById("monthly-print-title"),
+    monthlyHead: document.getElementById("monthly-head"),
+    monthlyBody: document.getElementById("monthly-body"),
+    auditPanel: document.getElementById("audit-panel"),
+    auditProgress: document.getElementById("audit-progress"),
+    auditDate: document.getElementById("audit-date"),
+    auditorNames: [
+      document.getElementById("auditor-name-1"),
+      document.getElementById("auditor-name-2"),
+    ],
+    cashbookTitle: document.getElementById("cashbook-print-title"),
+    cashbookBody: document.getElementById("cashbook-body"),
+    cashbookTotalIncome: document.getElementById("cashbook-total-income"),
+    cashbookTotalExpense: document.getElementById("cashbook-total-expense"),
+    cashbookFinalBalance: document.getElementById("cashbook-final-balance"),
+    budgetTitle: document.getElementById("budget-title"),
+    budgetIncomeBody: document.getElementById("budget-income-body"),
+    budgetExpenseBody: document.getElementById("budget-expense-body"),
+    budgetTotalIncome: document.getElementById("budget-total-income"),
+    budgetTotalExpense: document.getElementById("budget-total-expense"),
+    btnSaveBudget: document.getElementById("btn-save-budget"),
+    itemsIncomeBody: document.getElementById("items-income-body"),
+    itemsExpenseBody: document.getElementById("items-expense-body"),
+    itemsAddForm: document.getElementById("items-add-form"),
+    btnSaveItems: document.getElementById("btn-save-items"),
+  },
+
+  // ほかの人が入力した文字列をHTMLに組み込むときは、必ずこれを通します
+  escapeHtml(value) {
+    const entities = {
+      "&": "&amp;",
+      "<": "&lt;",
+      ">": "&gt;",
+      '"': "&quot;",
+      "'": "&#39;",
+    };
+    return String(value ?? "").replace(/[&<>"']/g, (char) => entities[char]);
+  },
+
+  TAB_NAMES: [
+    "input",
+    "view",
+    "dashboard",
+    "members",
+    "recycling",
+    "reimbursements",
+    "payees",
+    "budget",
+    "items",
+    "import",
+    "history",
+  ],
+
+  _createViewRowHtml(
+    record,
+    { isSplitGroupEnd = true, searchTerms = [] } = {},
+  ) {
+    const [recordId, dateStr, itemName, details, amountNum, payee, memo] =
+      record;
+    const displayDate = new Date(dateStr).toLocaleDateString("ja-JP", {
+      month: "numeric",
+      day: "numeric",
+    });
+    const amount = Number(amountNum);
+    const isIncome = dataProcessor.isIncomeItem(itemName);
+    const isTransfer = dataProcessor.isTransfer(itemName);
+    const amountColor = isTransfer ? "#555" : isIncome ? "#0000ff" : "#d32f2f";
+    const amountStyle = `color: ${amountColor}; text-align:right; font-weight:bold;`;
+    const highlight = (text) => searchService.highlight(text, searchTerms);
+    const amountHtml = searchService.matchesAmount(amount, searchTerms)
+      ? `<mark>${amount.toLocaleString()}</mark>`
+      : amount.toLocaleString();
+
+    const checkboxHtml = `<input type="checkbox" class="row-checkbox" checked data-amount="${amount}" data-income="${isIncome}" data-transfer="${isTransfer}" onchange="app.updateTotalsDisplay()">`;
+    const receiptCount = dataProcessor.getReceiptImages(record).length;
+    const receiptButtonHtml =
+      receiptCount > 0
+        ? ` <button onclick="app.handleShowReceipts('${recordId}')" class="btn-receipt" title="領収証を見る">📷${receiptCount}</button>`
+        : "";
+    const audit = dataProcessor.getAuditInfo(record);
+    const auditCommentHtml = audit.comment
+      ? `<div class="audit-comment">💬 ${this.escapeHtml(audit.comment)}</div>`
+      : "";
+    const { canWrite, canDelete } = applicationState.permissions;
+    const editButtonsHtml = [
+      canWrite
+        ? `<button onclick="app.handleEditRecord('${recordId}')" class="btn-edit">編</button>`
+        : "",
+      canDelete
+        ? `<button onclick="app.handleDeleteRecord('${recordId}')" class="btn-delete">削</button>`
+        : "",
+    ].join("");
+    const actionButtonsHtml = applicationState.isAuditMode
+      ? `<label class="audit-check"><input type="checkbox" ${audit.verified ? "checked" : ""} onchange="app.handleToggleVerified('${recordId}', this.checked)">確認</label>
+         <button onclick="app.handleEditAuditComment('${recordId}')" class="btn-edit">💬</button>`
+      : editButtonsHtml;
+
+    const rowClasses = [
+      audit.verified ? "audit-verified" : "",
+      this._getSplitRowClass(record, isSplitGroupEnd),
+    ].join(" ");
+
+    return `
+      <tr class="${rowClasses}">
+        <td>${checkboxHtml}</td>
+        <td>${displayDate}</td>
+        <td>${this.escapeHtml(itemName)}${this._createAccountTagHtml(record)}${this._createSplitTagHtml(record)}</td>
+        <td>${highlight(details)}${receiptButtonHtml}${auditCommentHtml}</td>
+        <td style="${amountStyle}">${amountHtml}</td>
+        <td>${payee ? `<a href="#" class="payee-link" data-payee="${this.escapeHtml(payee)}" onclick="app.handleShowPayeeReport(this.dataset.payee); return false;" title="この支払先の履歴を見る">${highlight(payee)}</a>` : ""}</td>
+        <td>${highlight(memo)}</td>
+        <td>${actionButtonsHtml}</td>
+      </tr>`;
+  },
+
+  _getSplitRowClass(record, isSplitGroupEnd) {
+    if (!dataProcessor.getSplitGroupId(record)) return "";
+    return isSplitGroupEnd ? "split-row split-end" : "split-row";
+  },
+
+  _createSplitTagHtml(record) {
+    const splitInfo = dataProcessor.getSplitInfo(
+      applicationState.accountingRecords,
+      record,
+    );
+    return splitInfo
+      ? `<div class="split-tag">分割 ${splitInfo.position}/${splitInfo.count}・支払い ${splitInfo.total.toLocaleString()}円</div>`
+      : "";
+  },
+
+  _createAccountTagHtml(record) {
+    const account = dataProcessor.getRecordAccount(record);
+    if (dataProcessor.isTransfer(record[2])) {
+      return `<div class="account-tag">${this.escapeHtml(account)} → ${this.escapeHtml(dataProcessor.getTransferDestination(record))}</div>`;
+    }
+    return dataProcessor.getAccounts().length > 1
+      ? `<div class="account-tag">${this.escapeHtml(account)}</div>`
+      : "";
+  },
+
+  _createPendingRowHtml(entry) {
+    const { id, recordData, status, error } = entry;
+    const escape = (value) => this.escapeHtml(value || "");
+    const displayDate = new Date(recordData.date).toLocaleDateString("ja-JP", {
+      month: "numeric",
+      day: "numeric",
+    });
+    const statusHtml =
+      status === "failed"
+        ? `<span class="pending-badge failed">送信失敗</span><div class="pending-error">${escape(error)}</div>`
+        : `<span class="pending-badge">未送信</span>`;
+
+    return `
+      <tr class="pending-row">
+        <td>${statusHtml}</td>
+        <td>${displayDate}</td>
+        <td>${escape(recordData.item)}</td>
+        <td>${escape(recordData.details)}</td>
+        <td>${Number(recordData.amount).toLocaleString()}</td>
+        <td>${escape(recordData.payee)}</td>
+        <td>${escape(recordData.memo)}</td>
+        <td>
+          <button onclick="app.handleRetryPendingRecord(${id})" class="btn-edit">再送</button>
+          <button onclick="app.handleDiscardPendingRecord(${id})" class="btn-delete">破棄</button>
+        </td>
+      </tr>`;
+  },
+
+  _createPrintRowHtml(record, { isSplitGroupEnd = true } = {}) {
+    const [_recordId, dateStr, itemName, details, amountNum, payee, memo] =
+      record;
+    const displayDate = new Date(dateStr).toLocaleDateString("ja-JP");
+    const amount = Number(amountNum);
+    const amountStyle = `text-align:right;`;
+    const itemLabel = dataProcessor.isTransfer(itemName)
+      ? `${itemName}（${dataProcessor.getRecordAccount(record)}→${dataProcessor.getTransferDestination(record)}）`
+      : itemName;
+    const splitInfo = dataProcessor.getSplitInfo(
+      applicationState.accountingRecords,
+      record,
+    );
+    const receiptImages = !splitInfo
+      ? dataProcessor.getReceiptImages(record)
+      : isSplitGroupEnd
+        ? splitInfo.groupRecords.flatMap((target) =>
+            dataProcessor.getReceiptImages(target),
+          )
+        : [];
+    const receiptRowHtml =
+      receiptImages.length > 0
+        ? `
+      <tr class="print-receipt-row">
+        <td colspan="6">
+          <div class="print-receipts">
+            ${receiptImages.map((src) => `<img src="${this.escapeHtml(src)}" alt="領収証">`).join("")}
+          </div>
+        </td>
+      </tr>`
+        : "";
+
+    return `
+      <tr class="${this._getSplitRowClass(record, isSplitGroupEnd)}">
+        <td>${displayDate}</td>
+        <td>${this.escapeHtml(itemLabel)}${this._createSplitTagHtml(record)}</td>
+        <td>${this.escapeHtml(details)}</td>
+        <td style="${amountStyle}">${amount.toLocaleString()}</td>
+        <td>${this.escapeHtml(payee)}</td>
+        <td>${this.escapeHtml(memo)}</td>
+      </tr>${receiptRowHtml}`;
+  },
+
+  getInputDataForNewRecord() {
+    const isSplitMode = this.isSplitMode();
+    const item = isSplitMode ? "" : document.getElementById("input-item").value;
+    return {
+      date: document.getElementById("input-date").value,
+      item,
+      details: isSplitMode
+        ? ""
+        : document.getElementById("input-details").value,
+      amount: Math.abs(
+        parseFloat(document.getElementById("input-amount").value),
+      ),
+      payee: document.getElementById("input-payee").value,
+      memo: document.getElementById("input-memo").value,
+      receipts: [...applicationState.inputReceiptImages],
+      account: document.getElementById("input-account").value,
+      transferTo: dataProcessor.isTransfer(item)
+        ? document.getElementById("input-transfer-to").value
+        : "",
+    };
+  },
+
+  renderAccountOptions() {
+    const optionsHtml = dataProcessor
+      .getAccounts()
+      .map((account) => `<option value="${account}">${account}</option>`)
+      .join("");
+    document.getElementById("input-account").innerHTML = optionsHtml;
+    document.getElementById("input-transfer-to").innerHTML = optionsHtml;
+    this.renderTransferFields();
+  },
+
+  renderTransferFields() {
+    const isTransfer = dataProcessor.isTransfer(
+      document.getElementById("input-item").value,
+    );
+    document.getElementById("input-transfer-to-group").style.display =
+      isTransfer ? "block" : "none";
+    document.getElementById("input-account-label").innerText = isTransfer
+      ? "出金元の口座"
+      : "口座";
+  },
+
+  renderAccountBalances() {
+    const accountBalances = dataProcessor.calculateAccountBalances(
+      applicationState.accountingRecords,
+    );
+    this.domElements.viewAccountBalances.innerHTML = accountBalances
+      .map(
+        ({ account, balance }) =>
+          `<div>${account}: ${balance.toLocaleString()}円</div>`,
+      )
+      .join("");
+  },
+
+  renderInputReceipts() {
+    this.domElements.inputReceiptsPreview.innerHTML =
+      this._createReceiptThumbnailsHtml(
+        applicationState.inputReceiptImages,
+        "handleRemoveInputReceipt",
+      );
+  },
+
+  _createReceiptThumbnailsHtml(receiptImages, removeHandlerName) {
+    return receiptImages
+      .map(
+        (src, index) => `
+          <div class="receipt-thumbnail">
+            <img src="${src}" alt="領収証">
+            <button onclick="app.${removeHandlerName}(${index})" title="取り除く">×</button>
+          </div>`,
+      )
+      .join("");
+  },
+
+  showReceiptViewer(receiptImages) {
+    this.domElements.receiptViewerImages.innerHTML = receiptImages
+      .map((src) => `<img src="${this.escapeHtml(src)}" alt="領収証">`)
+      .join("");
+    this.domElements.receiptViewer.style.display = "flex";
+  },
+
+  hideReceiptViewer() {
+    this.domElements.receiptViewer.style.display = "none";
+    this.domElements.receiptViewerImages.innerHTML = "";
+  },
+
+  // 廃止した項目の記録を修正するとき、項目が空にならないよう選択肢に加えます
+  _ensureItemOption(itemName) {
+    const inputSelect = this.domElements.inputItem;
+    const hasOption = Array.from(inputSelect.options).some(
+      (option) => option.value === itemName,
+    );
+    if (!hasOption) {
+      inputSelect.insertAdjacentHTML(
+        "beforeend",
+        `<option value="${this.escapeHtml(itemName)}">${this.escapeHtml(itemName)}（廃止）</option>`,
+      );
+    }
+  },
+
+  fillInputForm(record) {
+    const [_recordId, dateStr, itemName, details, amountNum, payee, memo] =
+      record;
+    document.getElementById("input-date").value =
+      dataProcessor.toLocalDateString(dateStr);
+    this._ensureItemOption(itemName);
+    document.getElementById("input-item").value = itemName;
+    document.getElementById("input-details").value = details;
+    document.getElementById("input-amount").value = Number(amountNum);
+    document.getElementById("input-payee").value = payee || "";
+    document.getElementById("input-memo").value = memo || "";
+    document.getElementById("input-account").value =
+      dataProcessor.getRecordAccount(record);
+    document.getElementById("input-transfer-to").value =
+      dataProcessor.getTransferDestination(record);
+    this.renderTransferFields();
+    applicationState.inputReceiptImages =
+      dataProcessor.getReceiptImages(record);
+    this.renderInputReceipts();
+  },
+
+  isSplitMode() {
+    return document.getElementById("input-split-mode").checked;
+  },
+
+  renderSplitLines() {
+    const isSplitMode = this.isSplitMode();
+    document.getElementById("input-item-group").style.display = isSplitMode
+      ? "none"
+      : "block";
+    document.getElementById("input-details-group").style.display = isSplitMode
+      ? "none"
+      : "block";
+    document.getElementById("input-split-group").style.display = isSplitMode
+      ? "block"
+      : "none";
+    document.getElementById("input-amount-label").innerText = isSplitMode
+      ? "合計金額（領収証の総額）"
+      : "金額";
+    if (!isSplitMode) return;
+    document.getElementById("input-item").value = "";
+    this.renderTransferFields();
+
+    const toOptions = (selectedItem) =>
+      ["income", "expense"]
+        .flatMap((type) => dataProcessor.getItemNames(type))
+        .map(
+          (itemName) =>
+            `<option value="${this.escapeHtml(itemName)}" ${itemName === selectedItem ? "selected" : ""}>${this.escapeHtml(itemName)}</option>`,
+        )
+        .join("");
+    document.getElementById("input-split-lines").innerHTML =
+      applicationState.inputSplitLines
+        .map(
+          (line, index) => `
+            <div class="split-line">
+              <select onchange="app.handleEditSplitLine(${index}, 'item', this.value)">
+                <option value="">-- 項目 --</option>
+                ${toOptions(line.item)}
+              </select>
+              <input type="text" value="${this.escapeHtml(line.details)}" placeholder="内訳" oninput="app.handleEditSplitLine(${index}, 'details', this.value)">
+              <input type="number" value="${line.amount}" inputmode="numeric" placeholder="金額" oninput="app.handleEditSplitLine(${index}, 'amount', this.value)">
+              <button onclick="app.handleRemoveSplitLine(${index})" class="btn-delete" title="行を削除">×</button>
+            </div>`,
+        )
+        .join("");
+    this.renderSplitRemaining();
+  },
+
+  // 入力中にフォーカスが外れないよう、行は描き直さず残りの金額だけを更新します
+  renderSplitRemaining() {
+    const total =
+      Math.abs(parseFloat(document.getElementById("input-amount").value)) || 0;
+    const assigned = this.getSplitLines().reduce(
+      (sum, line) => sum + (line.amount || 0),
+      0,
+    );
+    document.getElementById("input-split-remaining").innerText =
+      `合計 ${total.toLocaleString()}円 ／ 割り当て済み ${assigned.toLocaleString()}円 ／ 残り ${(total - assigned).toLocaleString()}円`;
+  },
+
+  getSplitLines() {
+    if (!this.isSplitMode()) return [];
+    return applicationState.inputSplitLines.map((line) => ({
+      item: line.item,
+      details: line.details,
+      amount: Math.abs(parseFloat(line.amount)) || 0,
+    }));
+  },
+
+  setEditMode(isEditing) {
+    document.getElementById("input-split-toggle").style.display = isEditing
+      ? "none"
+      : "";
+    this.domElements.btnSave.style.display = isEditing ? "none" : "block";
+    this.domElements.btnUpdate.style.display = isEditing ? "block" : "none";
+    this.domElements.btnCancelEdit.style.display = isEditing ? "block" : "none";
+    this.domElements.displayYear.innerText = `${applicationState.selectedFiscalYear}年度 ${isEditing ? "収支修正" : "収支入力"}`;
+  },
+
+  getFilteredRecords() {
+    return searchService.filterRecords(
+      dataProcessor.filterAndSortRecords(
+        applicationState.accountingRecords,
+        this.domElements.filterItem.value,
+        this.domElements.sortOrder.value,
+        this.getSelectedDateRange(),
+      ),
+      this.getSearchTerms(),
+    );
+  },
+
+  getSearchQuery() {
+    return this.domElements.filterSearch.value.trim();
+  },
+
+  getSearchTerms() {
+    return searchService.parseQuery(this.getSearchQuery());
+  },
+
+  getSelectedDateRange() {
+    return dataProcessor.getDateRange(
+      this.domElements.filterPeriod.value,
+      this.domElements.filterDateFrom.value,
+      this.domElements.filterDateTo.value,
+    );
+  },
+
+  getPeriodLabel() {
+    const periodSelect = this.domElements.filterPeriod;
+    if (periodSelect.value === "ALL") return "";
+    if (periodSelect.value !== "_CUSTOM_") {
+      return periodSelect.options[periodSelect.selectedIndex].text;
+    }
+    const { from, to } = this.getSelectedDateRange();
+    const format = (dateStr) =>
+      dateStr
+        ? new Date(`${dateStr}T00:00:00`).toLocaleDateString("ja-JP")
+        : "";
+    return `${format(from)}〜${format(to)}`;
+  },
+
+  renderPeriodOptions() {
+    const months = dataProcessor.getFiscalMonths(
+      applicationState.selectedFiscalYear,
+    );
+    this.domElements.filterPeriod.innerHTML = `
+      <option value="ALL">年度の全期間</option>
+      ${months.map((month) => `<option value="${month.key}">${month.year}年${month.label}</option>`).join("")}
+      <option value="_CUSTOM_">期間を指定する</option>`;
+    this.domElements.filterPeriod.value = "ALL";
+    this.renderCustomRangeInputs();
+  },
+
+  renderCustomRangeInputs() {
+    const isCustom = this.domElements.filterPeriod.value === "_CUSTOM_";
+    this.domElements.filterCustomRange.style.display = isCustom
+      ? "flex"
+      : "none";
+  },
+
+  renderAccountingTable() {
+    const filterSelect = this.domElements.filterItem;
+    const processedRecords = this.getFilteredRecords();
+
+    const pendingRowsHtml = applicationState.pendingRecords
+      .map((entry) => this._createPendingRowHtml(entry))
+      .join("");
+    const searchTerms = this.getSearchTerms();
+    const getRowOptions = (record, index) => ({
+      searchTerms,
+      isSplitGroupEnd:
+        !processedRecords[index + 1] ||
+        dataProcessor.getSplitGroupId(record) !==
+          dataProcessor.getSplitGroupId(processedRecords[index + 1]),
+    });
+    const viewRowsHtml = processedRecords
+      .map((record, index) =>
+        this._createViewRowHtml(record, getRowOptions(record, index)),
+      )
+      .join("");
+    const printRowsHtml = processedRecords
+      .map((record, index) =>
+        this._createPrintRowHtml(record, getRowOptions(record, index)),
+      )
+      .join("");
+
+    this.domElements.viewBody.innerHTML = pendingRowsHtml + viewRowsHtml;
+    this.domElements.reportBody.innerHTML = printRowsHtml;
+    this.domElements.receiptBox.style.display = processedRecords.every(
+      (record) => dataProcessor.getReceiptImages(record).length > 0,
+    )
+      ? "none"
+      : "";
+    const periodLabel = this.getPeriodLabel();
+    const searchQuery = this.getSearchQuery();
+    this.domElements.printTitleItem.innerText =
+      filterSelect.options[filterSelect.selectedIndex].text +
+      (periodLabel ? `（${periodLabel}）` : "") +
+      (searchQuery ? `（検索：${searchQuery}）` : "");
+
+    this.updateTotalsDisplay();
+    this.renderAccountBalances();
+    this.renderCarryForwardWarning();
+    this.renderAuditPanel();
+  },
+
+  renderAuditPanel() {
+    this.domElements.auditCard.style.display = applicationState.permissions
+      .canAudit
+      ? "block"
+      : "none";
+    const isAuditMode = applicationState.isAuditMode;
+    this.domElements.auditPanel.style.display = isAuditMode ? "block" : "none";
+    if (!isAuditMode) return;
+
+    const { totalCount, verifiedCount } = dataProcessor.buildAuditReport(
+      applicationState.accountingRecords,
+    );
+    this.domElements.auditProgress.innerText = `確認済み ${verifiedCount} / ${totalCount}件`;
+  },
+
+  getAuditorInputs() {
+    return {
+      auditDate: this.domElements.auditDate.value,
+      auditorNames: this.domElements.auditorNames
+        .map((input) => input.value.trim())
+        .filter(Boolean),
+    };
+  },
+
+  renderAuditReport(auditReport, { auditDate, auditorNames }) {
+    const { summary, totalCount, verifiedCount, commentedRecords } =
+      auditReport;
+    const year = applicationState.selectedFiscalYear;
+    const formatDate = (dateStr) =>
+      dateStr ? new Date(dateStr).toLocaleDateString("ja-JP") : "";
+
+    document.getElementById("audit-print-title").innerText =
+      `${year}年度 会計監査報告書`;
+    document.getElementById("audit-print-date").innerText = auditDate
+      ? new Date(`${auditDate}T00:00:00`).toLocaleDateString("ja-JP", {
+          year: "numeric",
+          month: "long",
+          day: "numeric",
+        })
+      : "　　年　　月　　日";
+    document.getElementById("audit-print-statement").innerText =
+      `${year}年度の会計について、帳簿、領収証その他関係書類を監査した結果、` +
+      "収支は適正かつ正確に処理されていることを認めます。";
+    document.getElementById("audit-print-income").innerText =
+      summary.totalIncome.toLocaleString();
+    document.getElementById("audit-print-expense").innerText =
+      summary.totalExpense.toLocaleString();
+    document.getElementById("audit-print-balance").innerText =
+      summary.finalBalance.toLocaleString();
+    document.getElementById("audit-print-progress").innerText =
+      `全${totalCount}件中 ${verifiedCount}件` +
+      (verifiedCount < totalCount
+        ? `（未確認 ${totalCount - verifiedCount}件）`
+        : "");
+
+    document.getElementById("audit-print-comments").innerHTML =
+      commentedRecords.length > 0
+        ? commentedRecords
+            .map(
+              ({ record, audit }) => `
+                <tr>
+                  <td>${formatDate(record[1])}</td>
+                  <td>${this.escapeHtml(record[2])}</td>
+                  <td>${this.escapeHtml(record[3])}</td>
+                  <td>${Number(record[4]).toLocaleString()}</td>
+                  <td>${this.escapeHtml(audit.comment)}</td>
+                </tr>`,
+            )
+            .join("")
+        : `<tr><td colspan="5">指摘事項はありません。</td></tr>`;
+
+    document.getElementById("audit-print-signatures").innerHTML = [0, 1]
+      .map(
+        (index) => `
+          <div class="signature-box">
+            <span>会計監査</span>
+            <span class="signature-name">${auditorNames[index] || ""}</span>
+            <span class="seal-box">印</span>
+          </div>`,
+      )
+      .join("");
+  },
+
+  renderCarryForwardWarning() {
+    const closingBalance = applicationState.previousYearClosingBalance;
+    const carryForwardRecords = dataProcessor.getCarryForwardRecords(
+      applicationState.accountingRecords,
+    );
+    const recordedAmount = carryForwardRecords.reduce(
+      (sum, record) => sum + Number(record[4]),
+      0,
+    );
+    const hasMismatch =
+      closingBalance !== null &&
+      carryForwardRecords.length > 0 &&
+      recordedAmount !== closingBalance;
+
+    const warningElement = this.domElements.carryForwardWarning;
+    warningElement.style.display = hasMismatch ? "block" : "none";
+    if (hasMismatch) {
+      const previousYear = Number(applicationState.selectedFiscalYear) - 1;
+      warningElement.innerText = `⚠ 前年度繰越金（${recordedAmount.toLocaleString()}円）が${previousYear}年度の決算残高（${closingBalance.toLocaleString()}円）と一致しません。`;
+    }
+  },
+
+  renderSummaryReport(summaryData) {
+    const formatVariance = (variance) =>
+      `${variance > 0 ? "+" : ""}${variance.toLocaleString()}`;
+    const createRow = (item, isExpense) => {
+      const rowClass =
+        isExpense && item.variance > 0 ? ' class="over-budget"' : "";
+      return `
+        <tr${rowClass}>
+          <td>${this.escapeHtml(item.itemName)}</td>
+          <td>${item.budgetAmount.toLocaleString()}</td>
+          <td>${item.totalAmount.toLocaleString()}</td>
+          <td>${formatVariance(item.variance)}</td>
+        </tr>`;
+    };
+
+    this.domElements.summaryIncomeBody.innerHTML = summaryData.incomeSummary
+      .map((item) => createRow(item, false))
+      .join("");
+    this.domElements.summaryExpenseBody.innerHTML = summaryData.expenseSummary
+      .map((item) => createRow(item, true))
+      .join("");
+
+    this.domElements.summaryBudgetIncome.innerText =
+      summaryData.totalIncomeBudget.toLocaleString();
+    this.domElements.summaryTotalIncome.innerText =
+      summaryData.totalIncome.toLocaleString();
+    this.domElements.summaryVarianceIncome.innerText = formatVariance(
+      summaryData.totalIncome - summaryData.totalIncomeBudget,
+    );
+    this.domElements.summaryBudgetExpense.innerText =
+      summaryData.totalExpenseBudget.toLocaleString();
+    this.domElements.summaryTotalExpense.innerText =
+      summaryData.totalExpense.toLocaleString();
+    this.domElements.summaryVarianceExpense.innerText = formatVariance(
+      summaryData.totalExpense - summaryData.totalExpenseBudget,
+    );
+    this.domElements.summaryAccountBody.innerHTML = summaryData.accountBalances
+      .map(
+        ({ account, balance }) => `
+          <tr>
+            <td>${account}</td>
+            <td>${balance.toLocaleString()}</td>
+          </tr>`,
+      )
+      .join("");
+    this.domElements.summaryAccountTotal.innerText =
+      summaryData.finalBalance.toLocaleString();
+
+    const titleText = `${applicationState.selectedFiscalYear}年度 決算報告書`;
+    this.domElements.summaryPrintTitleIncome.innerText = titleText;
+    this.domElements.summaryPrintTitleExpense.innerText = titleText;
+  },
+
+  updateTotalsDisplay() {
+    const checkboxes = document.querySelectorAll(".row-checkbox");
+    const totals = dataProcessor.calculateTotalsFromSelection(checkboxes);
+
+    this.domElements.viewTotalIncome.innerText =
+      totals.incomeTotal.toLocaleString();
+    this.domElements.viewTotalExpense.innerText =
+      totals.expenseTotal.toLocaleString();
+    this.domElements.viewTotalBalance.innerText =
+      totals.balance.toLocaleString();
+
+    const filterValue = this.domElements.filterItem.value;
+    const isIncomeFilter =
+      filterValue === "_INCOME_ONLY_" ||
+      dataProcessor.isIncomeItem(filterValue);
+
+    if (filterValue === "ALL") {
+      this.domElements.printTotal.innerText = `選択計 収入: ${totals.incomeTotal.toLocaleString()}円 / 支出: ${totals.expenseTotal.toLocaleString()}円 (残高: ${totals.balance.toLocaleString()}円)`;
+    } else if (dataProcessor.isTransfer(filterValue)) {
+      this.domElements.printTotal.innerText = `選択振替合計: ${totals.transferTotal.toLocaleString()}円`;
+    } else if (isIncomeFilter) {
+      this.domElements.printTotal.innerText = `選択収入合計: ${totals.incomeTotal.toLocaleString()}円`;
+    } else {
+      this.domElements.printTotal.innerText = `選択支出合計: ${totals.expenseTotal.toLocaleString()}円`;
+    }
+  },
+
+  renderMonthlySummary(monthlySummary) {
+    const formatAmount = (amount) => (amount ? amount.toLocaleString() : "");
+    const createRow = (label, row, rowClass = "") => `
+      <tr class="${rowClass}">
+        <td>${label}</td>
+        ${row.monthlyAmounts.map((amount) => `<td>${formatAmount(amount)}</td>`).join("")}
+        <td>${row.totalAmount.toLocaleString()}</td>
+      </tr>`;
+    const columnCount = monthlySummary.months.length + 2;
+    const createSectionHeader = (label) =>
+      `<tr class="monthly-section"><td colspan="${columnCount}">${label}</td></tr>`;
+
+    this.domElements.monthlyHead.innerHTML = `
+      <tr>
+        <th>項目</th>
+        ${monthlySummary.months.map((month) => `<th>${month.label}</th>`).join("")}
+        <th>合計</th>
+      </tr>`;
+    this.domElements.monthlyBody.innerHTML = [
+      createSectionHeader("《収入の部》"),
+      ...monthlySummary.incomeRows.map((row) => createRow(row.itemName, row)),
+      createRow("収入合計", monthlySummary.incomeTotal, "monthly-subtotal"),
+      createSectionHeader("《支出の部》"),
+      ...monthlySummary.expenseRows.map((row) => createRow(row.itemName, row)),
+      createRow("支出合計", monthlySummary.expenseTotal, "monthly-subtotal"),
+      createRow("収支差額", monthlySummary.balance, "monthly-subtotal"),
+    ].join("");
+    this.domElements.monthlyTitle.innerText = `${applicationState.selectedFiscalYear}年度 月次収支表`;
+  },
+
+  renderCashBook(cashBook) {
+    const formatAmount = (amount) => (amount ? amount.toLocaleString() : "");
+    this.domElements.cashbookBody.innerHTML = cashBook.rows
+      .map(
+        (row) => `
+          <tr>
+            <td>${new Date(row.dateStr).toLocaleDateString("ja-JP")}</td>
+            <td>${this.escapeHtml(row.description)}</td>
+            <td>${formatAmount(row.income)}</td>
+            <td>${formatAmount(row.expense)}</td>
+            <td>${row.balance.toLocaleString()}</td>
+          </tr>`,
+      )
+      .join("");
+
+    this.domElements.cashbookTotalIncome.innerText =
+      cashBook.totalIncome.toLocaleString();
+    this.domElements.cashbookTotalExpense.innerText =
+      cashBook.totalExpense.toLocaleString();
+    this.domElements.cashbookFinalBalance.innerText =
+      cashBook.finalBalance.toLocaleString();
+    this.domElements.cashbookTitle.innerText = `${applicationState.selectedFiscalYear}年度 現金出納帳`;
+  },
+
+  renderBudgetForm() {
+    const createRow = (itemName) => {
+      const budgetAmount = applicationState.budgets[itemName] ?? "";
+      return `
+        <tr>
+          <td>${this.escapeHtml(itemName)}</td>
+          <td><input type="number" class="budget-input" inputmode="numeric" data-item="${this.escapeHtml(itemName)}" value="${budgetAmount}" placeholder="0" oninput="app.updateBudgetTotals()" ${applicationState.permissions.canManageSettings ? "" : "disabled"}></td>
+        </tr>`;
+    };
+
+    this.domElements.budgetTitle.innerText = `${applicationState.selectedFiscalYear}年度 予算設定`;
+    this.domElements.budgetIncomeBody.innerHTML = dataProcessor
+      .getItemNames("income")
+      .map(createRow)
+      .join("");
+    this.domElements.budgetExpenseBody.innerHTML = dataProcessor
+      .getItemNames("expense")
+      .map(createRow)
+      .join("");
+    this.domElements.btnSaveBudget.style.display = applicationState.permissions
+      .canManageSettings
+      ? "block"
+      : "none";
+
+    this.updateBudgetTotals();
+  },
+
+  getBudgetInputs() {
+    const budgets = {};
+    document.querySelectorAll(".budget-input").forEach((input) => {
+      const amount = parseFloat(input.value);
+      if (!isNaN(amount)) {
+        budgets[input.dataset.item] = Math.abs(amount);
+      }
+    });
+    return budgets;
+  },
+
+  updateBudgetTotals() {
+    const budgets = this.getBudgetInputs();
+    const sumOf = (itemNames) =>
+      itemNames.reduce((sum, itemName) => sum + (budgets[itemName] || 0), 0);
+
+    this.domElements.budgetTotalIncome.innerText = sumOf(
+      dataProcessor.getItemNames("income"),
+    ).toLocaleString();
+    this.domElements.budgetTotalExpense.innerText = sumOf(
+      dataProcessor.getItemNames("expense"),
+    ).toLocaleString();
+  },
+
+  renderItemOptions() {
+    const toOptions = (items) =>
+      items
+        .map(
+          (item) =>
+            `<option value="${this.escapeHtml(item.name)}">${this.escapeHtml(item.name)}${item.active ? "" : "（廃止）"}</option>`,
+        )
+        .join("");
+
+    this.domElements.inputItem.innerHTML = `
+      <option value="">-- 項目を選択 --</option>
+      <optgroup label="【収入】">${toOptions(dataProcessor.getItems("income"))}</optgroup>
+      <optgroup label="【支出】">${toOptions(dataProcessor.getItems("expense"))}</optgroup>
+      <optgroup label="【振替】"><option value="${dataProcessor.TRANSFER_ITEM_NAME}">${dataProcessor.TRANSFER_ITEM_NAME}（口座間の移動）</option></optgroup>`;
+
+    const filterSelect = this.domElements.filterItem;
+    const currentFilter = filterSelect.value;
+    filterSelect.innerHTML = `
+      <option value="ALL">すべての項目</option>
+      <option value="_INCOME_ONLY_">収入のすべて</option>
+      <option value="_EXPENSES_ONLY_">支出のすべて</option>
+      <option value="${dataProcessor.TRANSFER_ITEM_NAME}">口座間の振替</option>
+      <optgroup label="収入項目（個別）">${toOptions(dataProcessor.getItems("income", { includeRetired: true }))}</optgroup>
+      <optgroup label="支出項目（個別）">${toOptions(dataProcessor.getItems("expense", { includeRetired: true }))}</optgroup>`;
+    filterSelect.value = currentFilter;
+    if (!filterSelect.value) {
+      filterSelect.value = "ALL";
+    }
+  },
+
+  renderItemMasterEditor() {
+    const isEditable = applicationState.permissions.canManageSettings;
+    const draftEntries = applicationState.itemMasterDraft
+      .map((item, draftIndex) => ({ item, draftIndex }))
+      .sort((a, b) => a.item.order - b.item.order);
+
+    const createRows = (type) => {
+      const entries = draftEntries.filter(({ item }) => item.type === type);
+      return entries
+        .map(({ item, draftIndex }, position) => {
+          const disabled = isEditable ? "" : "disabled";
+          const isFirst = position === 0;
+          const isLast = position === entries.length - 1;
+          const purposeOptionsHtml = Object.entries(dataProcessor.ITEM_PURPOSES)
+            .map(
+              ([purpose, { label }]) =>
+                `<option value="${purpose}" ${item.purpose === purpose ? "selected" : ""}>${label}</option>`,
+            )
+            .join("");
+          const purposeCellHtml =
+            type === "income"
+              ? `<td><select onchange="app.handleSetItemPurposeDraft(${draftIndex}, this.value)" ${disabled}><option value="">-</option>${purposeOptionsHtml}</select></td>`
+              : "";
+          return `
+            <tr class="${item.active ? "" : "retired-item"}">
+              <td><input type="text" value="${this.escapeHtml(item.name)}" oninput="app.handleRenameItemDraft(${draftIndex}, this.value)" ${disabled}></td>
+              <td class="item-order-buttons">
+                <button onclick="app.handleMoveItemDraft(${draftIndex}, -1)" ${isEditable && !isFirst ? "" : "disabled"}>↑</button>
+                <button onclick="app.handleMoveItemDraft(${draftIndex}, 1)" ${isEditable && !isLast ? "" : "disabled"}>↓</button>
+              </td>
+              <td><input type="checkbox" ${item.active ? "checked" : ""} onchange="app.handleToggleItemDraft(${draftIndex}, this.checked)" ${disabled}></td>
+              ${purposeCellHtml}
+            </tr>`;
+        })
+        .join("");
+    };
+
+    this.domElements.itemsIncomeBody.innerHTML = createRows("income");
+    this.domElements.itemsExpenseBody.innerHTML = createRows("expense");
+    this.domElements.itemsAddForm.style.display = isEditable ? "block" : "none";
+    this.domElements.btnSaveItems.style.display = isEditable ? "block" : "none";
+  },
+
+  getNewItemInput() {
+    return {
+      type: document.getElementById("new-item-type").value,
+      name: document.getElementById("new-item-name").value.trim(),
+    };
+  },
+
+  downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  },
+
+  getCsvExportOptions() {
+    return {
+      scope: document.getElementById("csv-export-scope").value,
+      encoding: document.getElementById("csv-export-encoding").value,
+    };
+  },
+
+  renderCsvImport() {
+    const { rows, hasHeader, mapping } = applicationState.csvImport;
+    const hasRows = rows.length > 0;
+    document.getElementById("csv-import-steps").style.display = hasRows
+      ? "block"
+      : "none";
+    if (!hasRows) return;
+
+    const headerRow = rows[0];
+    const columnOptions = headerRow
+      .map(
+        (header, index) =>
+          `<option value="${index}">${index + 1}列目${hasHeader ? `（${header}）` : ""}</option>`,
+      )
+      .join("");
+    document.getElementById("csv-import-has-header").checked = hasHeader;
+    document.getElementById("csv-import-mapping").innerHTML =
+      csvService.FIELDS.map(
+        (field) => `
+          <label>${field.label}</label>
+          <select class="csv-mapping-select" data-field="${field.key}" onchange="app.handleChangeCsvMapping()">
+            <option value="-1">（使わない）</option>
+            ${columnOptions}
+          </select>`,
+      ).join("");
+    document.querySelectorAll(".csv-mapping-select").forEach((select) => {
+      select.value = String(mapping[select.dataset.field]);
+    });
+
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+    const converted = dataProcessor.convertCsvRowsToRecords(dataRows, mapping);
+    const validCount = converted.filter(({ errors }) => !errors.length).length;
+    const warningCount = converted.filter(
+      ({ errors, warnings }) => !errors.length && warnings.length,
+    ).length;
+    const toMessagesHtml = (messages) =>
+      messages.map((message) => this.escapeHtml(message)).join("<br>");
+    document.getElementById("csv-import-preview-body").innerHTML = converted
+      .map(({ recordData, errors, warnings }) => {
+        let statusHtml = "OK";
+        let rowClass = "";
+        if (errors.length) {
+          statusHtml = `<span class="pending-error">${toMessagesHtml(errors)}</span>`;
+          rowClass = "csv-invalid-row";
+        } else if (warnings.length) {
+          statusHtml = `<span class="csv-warning">⚠ ${toMessagesHtml(warnings)}</span>`;
+          rowClass = "csv-warning-row";
+        }
+        return `
+          <tr class="${rowClass}">
+            <td>${statusHtml}</td>
+            <td>${recordData.date}</td>
+            <td>${this.escapeHtml(recordData.item)}</td>
+            <td>${this.escapeHtml(recordData.details)}</td>
+            <td>${isNaN(recordData.amount) ? "" : recordData.amount.toLocaleString()}</td>
+            <td>${this.escapeHtml(recordData.payee)}</td>
+            <td>${this.escapeHtml(recordData.memo)}</td>
+            <td>${this.escapeHtml(recordData.account)}</td>
+            <td>${this.escapeHtml(recordData.transferTo)}</td>
+          </tr>`;
+      })
+      .join("");
+    document.getElementById("csv-import-summary").innerText =
+      `${converted.length}行中 ${validCount}行を登録できます。` +
+      (validCount < converted.length ? "問題のある行は登録されません。" : "") +
+      (warningCount > 0
+        ? `注意のある${warningCount}行は、内容を確認した上で登録してください。`
+        : "");
+    document.getElementById("btn-import-csv").disabled = validCount === 0;
+  },
+
+  getCsvMappingInputs() {
+    const mapping = {};
+    document.querySelectorAll(".csv-mapping-select").forEach((select) => {
+      mapping[select.dataset.field] = Number(select.value);
+    });
+    return {
+      mapping,
+      hasHeader: document.getElementById("csv-import-has-header").checked,
+    };
+  },
+
+  switchTab(tabName) {
+    this.TAB_NAMES.forEach((name) => {
+      const isActive = name === tabName;
+      document.getElementById(`content-${name}`).style.display = isActive
+        ? "block"
+        : "none";
+      document
+        .getElementById(`tab-${name}`)
+        .classList.toggle("active", isActive);
+    });
+
+    if (tabName === "view") {
+      this.renderAccountingTable();
+    } else if (tabName === "budget") {
+      this.renderBudgetForm();
+    } else if (tabName === "items") {
+      this.renderItemMasterEditor();
+    } else if (tabName === "import") {
+      this.renderCsvImport();
+    } else if (tabName === "history") {
+      this.renderHistory();
+    } else if (tabName === "dashboard") {
+      this.renderDashboard();
+    } else if (tabName === "members") {
+      this.renderMembers();
+    } else if (tabName === "recycling") {
+      this.renderCollections();
+    } else if (tabName === "reimbursements") {
+      this.renderReimbursements();
+    } else if (tabName === "payees") {
+      this.renderPayeeDirectory();
+      this.renderPayeeReport();
+    }
+  },
+
+  renderMembers() {
+    const { canWrite } = applicationState.permissions;
+    const disabled = canWrite ? "" : "disabled";
+    const createInputHtml = (member, field, type = "text") =>
+      `<input type="${type}" value="${this.escapeHtml(member[field])}" onchange="app.handleEditMember('${member.id}', '${field}', this.value)" ${disabled}>`;
+
+    document.getElementById("members-title").innerText =
+      `${applicationState.selectedFiscalYear}年度 会員名簿・会費`;
+    document.getElementById("members-body").innerHTML =
+      applicationState.members.length > 0
+        ? applicationState.members
+            .map(
+              (member) => `
+                <tr id="member-row-${member.id}" class="${member.paidAt ? "member-paid" : ""}">
+                  <td>${createInputHtml(member, "className")}</td>
+                  <td>${createInputHtml(member, "familyName")}</td>
+                  <td>${createInputHtml(member, "childName")}</td>
+                  <td>${createInputHtml(member, "paidAt", "date")}</td>
+                  <td>${createInputHtml(member, "paidAmount", "number")}</td>
+                  <td>
+                    ${canWrite && !member.paidAt ? `<button onclick="app.handleMarkMemberPaid('${member.id}')" class="btn-edit">納入</button>` : ""}
+                    ${canWrite ? `<button onclick="app.handleRemoveMember('${member.id}')" class="btn-delete">削</button>` : ""}
+                  </td>
+                </tr>`,
+            )
+            .join("")
+        : `<tr><td colspan="6">名簿が登録されていません。</td></tr>`;
+    document.getElementById("members-add-form").style.display = canWrite
+      ? "block"
+      : "none";
+    document.getElementById("btn-save-members").style.display = canWrite
+      ? "block"
+      : "none";
+    this.renderMembershipReport();
+  },
+
+  renderMembershipReport() {
+    const report = dataProcessor.buildMembershipReport(
+      applicationState.members,
+      applicationState.accountingRecords,
+    );
+    applicationState.members.forEach((member) => {
+      document
+        .getElementById(`member-row-${member.id}`)
+        ?.classList.toggle("member-paid", Boolean(member.paidAt));
+    });
+
+    const differenceText =
+      report.difference === 0
+        ? `<span class="reconcile-ok">✔ 一致しています</span>`
+        : `<span class="reconcile-ng">✖ 差額 ${Math.abs(report.difference).toLocaleString()}円（台帳の方が${report.difference > 0 ? "多い" : "少ない"}）</span>`;
+    document.getElementById("members-report").innerHTML = `
+      <div>会員 ${report.memberCount}世帯 ／ 納入済み ${report.paidCount}世帯 ／ 未納 ${report.unpaidMembers.length}世帯</div>
+      <div>名簿の納入額合計 ${report.collectedTotal.toLocaleString()}円 ／ 台帳の「${this.escapeHtml(dataProcessor.getItemNameByPurpose("membershipFee")) || "会費の項目が未設定"}」合計 ${report.ledgerTotal.toLocaleString()}円</div>
+      <div>${differenceText}</div>`;
+
+    const unpaidGroups = dataProcessor.groupMembersByClass(
+      report.unpaidMembers,
+    );
+    document.getElementById("members-print-title").innerText =
+      `${applicationState.selectedFiscalYear}年度 会費 未納者一覧`;
+    document.getElementById("members-print-classes").innerHTML =
+      unpaidGroups.length > 0
+        ? unpaidGroups
+            .map(
+              ({ className, members }) => `
+                <section class="members-print-class">
+                  <h3>${this.escapeHtml(className) || "クラス未設定"}（${members.length}世帯）</h3>
+                  <table class="members-table">
+                    <thead>
+                      <tr><th>世帯名</th><th>園児名</th><th>備考</th></tr>
+                    </thead>
+                    <tbody>
+                      ${members.map((member) => `<tr><td>${this.escapeHtml(member.familyName)}</td><td>${this.escapeHtml(member.childName)}</td><td></td></tr>`).join("")}
+                    </tbody>
+                  </table>
+                </section>`,
+            )
+            .join("")
+        : `<p>未納の世帯はありません。</p>`;
+  },
+
+  renderCollections() {
+    const { canWrite } = applicationState.permissions;
+    const formatDate = (dateStr) =>
+      new Date(dateStr).toLocaleDateString("ja-JP", {
+        month: "numeric",
+        day: "numeric",
+      });
+    const recyclingItemName = dataProcessor.getItemNameByPurpose("recycling");
+    const recyclingRecords = applicationState.accountingRecords.filter(
+      (record) => record[2] === recyclingItemName,
+    );
+    const createRecordOptionsHtml = (collection) =>
+      [
+        `<option value="">（未入金）</option>`,
+        ...recyclingRecords.map(
+          (record) =>
+            `<option value="${record[0]}" ${dataProcessor.isSameRecordId(record, collection.recordId) ? "selected" : ""}>${formatDate(record[1])} ${Number(record[4]).toLocaleString()}円</option>`,
+        ),
+      ].join("");
+
+    document.getElementById("recycling-title").innerText =
+      `${applicationState.selectedFiscalYear}年度 資源回収`;
+    document.getElementById("collections-body").innerHTML =
+      applicationState.collections.length > 0
+        ? [...applicationState.collections]
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(
+              (collection) => `
+                <tr>
+                  <td>${formatDate(collection.date)}</td>
+                  <td>${collection.materials.map((line) => `${this.escapeHtml(line.material)} ${line.weight}kg × ${line.unitPrice}円`).join("<br>")}</td>
+                  <td>${dataProcessor.getCollectionExpectedAmount(collection).toLocaleString()}</td>
+                  <td><select onchange="app.handleLinkCollection('${collection.id}', this.value)" ${canWrite ? "" : "disabled"}>${createRecordOptionsHtml(collection)}</select></td>
+                  <td>${canWrite ? `<button onclick="app.handleRemoveCollection('${collection.id}')" class="btn-delete">削</button>` : ""}</td>
+                </tr>`,
+            )
+            .join("")
+        : `<tr><td colspan="5">回収の記録はありません。</td></tr>`;
+
+    const latestCollection = [...applicationState.collections].sort((a, b) =>
+      b.date.localeCompare(a.date),
+    )[0];
+    const getLatestUnitPrice = (material) =>
+      latestCollection?.materials.find((line) => line.material === material)
+        ?.unitPrice ?? "";
+    document.getElementById("collection-materials").innerHTML = dataProcessor
+      .getRecyclingMaterials()
+      .map(
+        (material) => `
+          <div class="collection-material-row">
+            <span>${this.escapeHtml(material)}</span>
+            <input type="number" class="collection-weight" data-material="${this.escapeHtml(material)}" inputmode="decimal" step="0.1" placeholder="重さ(kg)">
+            <input type="number" class="collection-unit-price" inputmode="decimal" step="0.1" placeholder="単価(円/kg)" value="${getLatestUnitPrice(material)}">
+          </div>`,
+      )
+      .join("");
+    document.getElementById("collections-add-form").style.display = canWrite
+      ? "block"
+      : "none";
+    document.getElementById("btn-save-collections").style.display = canWrite
+      ? "block"
+      : "none";
+    this.renderCollectionReport();
+  },
+
+  renderCollectionReport() {
+    const report = dataProcessor.buildCollectionReport(
+      applicationState.collections,
+      applicationState.accountingRecords,
+    );
+    const formatDate = (dateStr) =>
+      new Date(dateStr).toLocaleDateString("ja-JP", {
+        month: "numeric",
+        day: "numeric",
+      });
+    const formatDifference = (difference) =>
+      difference === 0
+        ? `<span class="reconcile-ok">✔ 一致</span>`
+        : `<span class="reconcile-ng">${difference > 0 ? "+" : "−"}${Math.abs(difference).toLocaleString()}</span>`;
+
+    const materialRowsHtml = report.materialTotals
+      .map(
+        (row) =>
+          `<tr><td>${this.escapeHtml(row.material)}</td><td>${row.weight.toLocaleString()}kg</td><td>${row.expectedAmount.toLocaleString()}</td></tr>`,
+      )
+      .join("");
+    const paymentRowsHtml = report.linkedPayments
+      .map(
+        (payment) => `
+          <tr>
+            <td>${formatDate(payment.record[1])}</td>
+            <td>${payment.collections.map((collection) => formatDate(collection.date)).join("・")}</td>
+            <td>${payment.expectedAmount.toLocaleString()}</td>
+            <td>${payment.receivedAmount.toLocaleString()}</td>
+            <td>${formatDifference(payment.difference)}</td>
+          </tr>`,
+      )
+      .join("");
+    const noticesHtml = [
+      ...report.unlinkedCollections.map(
+        (collection) =>
+          `<li>${formatDate(collection.date)}の回収（見込額 ${dataProcessor.getCollectionExpectedAmount(collection).toLocaleString()}円）の入金が確認できません</li>`,
+      ),
+      ...report.unlinkedRecords.map(
+        (record) =>
+          `<li>${formatDate(record[1])}の入金 ${Number(record[4]).toLocaleString()}円 に対応する回収の記録がありません</li>`,
+      ),
+    ].join("");
+
+    const reportHtml = `
+      <h3>品目別の回収量</h3>
+      <table class="collections-table">
+        <thead><tr><th>品目</th><th>重さ</th><th>見込額(円)</th></tr></thead>
+        <tbody>${materialRowsHtml}</tbody>
+      </table>
+      <h3>入金との照合</h3>
+      <table class="collections-table">
+        <thead><tr><th>入金日</th><th>回収日</th><th>見込額(円)</th><th>入金額(円)</th><th>差額</th></tr></thead>
+        <tbody>${paymentRowsHtml || `<tr><td colspan="5">回収日と紐づいた入金はありません。</td></tr>`}</tbody>
+        <tfoot>
+          <tr>
+            <td colspan="2">年度合計</td>
+            <td>${report.totalExpected.toLocaleString()}</td>
+            <td>${report.totalReceived.toLocaleString()}</td>
+            <td>${formatDifference(report.difference)}</td>
+          </tr>
+        </tfoot>
+      </table>
+      ${noticesHtml ? `<h3>確認が必要な点</h3><ul class="collection-notices">${noticesHtml}</ul>` : ""}`;
+
+    document.getElementById("recycling-report").innerHTML = reportHtml;
+    document.getElementById("recycling-print-report").innerHTML = reportHtml;
+    document.getElementById("recycling-print-title").innerText =
+      `${applicationState.selectedFiscalYear}年度 資源回収 照合表`;
+  },
+
+  renderPayeeOptions() {
+    document.getElementById("payee-options").innerHTML = dataProcessor
+      .buildPayeeDirectory(
+        applicationState.accountingRecords,
+        Object.values(applicationState.pastYearRecords).flat(),
+      )
+      .sort((a, b) => b.count - a.count || b.lastDate.localeCompare(a.lastDate))
+      .map(
+        (entry) => `<option value="${this.escapeHtml(entry.payee)}"></option>`,
+      )
+      .join("");
+  },
+
+  renderPayeeDirectory() {
+    const { canManageSettings } = applicationState.permissions;
+    const directory = dataProcessor.buildPayeeDirectory(
+      applicationState.accountingRecords,
+      Object.values(applicationState.pastYearRecords).flat(),
+    );
+    document.getElementById("payees-body").innerHTML =
+      directory.length > 0
+        ? directory
+            .map(
+              (entry) => `
+                <tr>
+                  <td>${canManageSettings && entry.count > 0 ? `<input type="checkbox" class="payee-merge-checkbox" value="${this.escapeHtml(entry.payee)}">` : ""}</td>
+                  <td>
+                    <a href="#" class="payee-link" data-payee="${this.escapeHtml(entry.payee)}" onclick="app.handleShowPayeeReport(this.dataset.payee); return false;">${this.escapeHtml(entry.payee)}</a>
+                    ${entry.hasVariants ? `<span class="payee-variant-tag">表記ゆれ？</span>` : ""}
+                  </td>
+                  <td>${entry.count}</td>
+                  <td>${entry.expenseTotal.toLocaleString()}</td>
+                  <td>${entry.lastDate.replace(/-/g, "/")}</td>
+                </tr>`,
+            )
+            .join("")
+        : `<tr><td colspan="5">支払先の入った記録はありません。</td></tr>`;
+    document.getElementById("payees-merge-form").style.display =
+      canManageSettings ? "block" : "none";
+  },
+
+  getPayeeMergeInput() {
+    return {
+      fromPayees: [
+        ...document.querySelectorAll(".payee-merge-checkbox:checked"),
+      ].map((checkbox) => checkbox.value),
+      toPayee: document.getElementById("payee-merge-to").value.trim(),
+    };
+  },
+
+  renderPayeeReport() {
+    const report = applicationState.payeeReport;
+    document.getElementById("payee-report-card").style.display = report
+      ? "block"
+      : "none";
+    if (!report) return;
+
+    document.getElementById("payee-report-title").innerText =
+      `支払先の履歴：${report.payee}`;
+    document.getElementById("payee-report-years").innerHTML =
+      report.years.length > 0
+        ? report.years
+            .map(
+              (yearEntry) => `
+                <tr>
+                  <td>${yearEntry.label}</td>
+                  <td>${yearEntry.count}</td>
+                  <td>${yearEntry.expenseTotal.toLocaleString()}</td>
+                </tr>`,
+            )
+            .join("")
+        : `<tr><td colspan="3">記録はありません。</td></tr>`;
+    document.getElementById("payee-report-transactions").innerHTML =
+      report.transactions
+        .map(
+          (record) => `
+            <tr>
+              <td>${new Date(record[1]).toLocaleDateString("ja-JP")}</td>
+              <td>${this.escapeHtml(record[2])}</td>
+              <td>${this.escapeHtml(record[3])}</td>
+              <td>${Number(record[4]).toLocaleString()}</td>
+            </tr>`,
+        )
+        .join("");
+  },
+
+  renderReimbursements() {
+    const { canApproveReimbursements, canSubmitReimbursements } =
+      applicationState.permissions;
+    const formatDate = (dateStr) =>
+      new Date(dateStr).toLocaleDateString("ja-JP");
+
+    document.getElementById("reimbursement-item").innerHTML = `
+      <option value="">-- 項目を選択 --</option>
+      ${dataProcessor
+        .getItemNames("expense")
+        .map(
+          (itemName) =>
+            `<option value="${this.escapeHtml(itemName)}">${this.escapeHtml(itemName)}</option>`,
+        )
+        .join("")}`;
+    document.getElementById("reimbursement-account").innerHTML = dataProcessor
+      .getAccounts()
+      .map((account) => `<option value="${account}">${account}</option>`)
+      .join("");
+    document.getElementById("reimbursement-form").style.display =
+      canSubmitReimbursements ? "block" : "none";
+    document.getElementById("reimbursement-review-options").style.display =
+      canApproveReimbursements ? "block" : "none";
+    this.renderReimbursementReceipts();
+
+    const statusOrder = { pending: 0, approved: 1, rejected: 2 };
+    const sortedReimbursements = [...applicationState.reimbursements].sort(
+      (a, b) =>
+        statusOrder[a.status] - statusOrder[b.status] ||
+        b.requestedAt.localeCompare(a.requestedAt),
+    );
+    document.getElementById("reimbursements-body").innerHTML =
+      sortedReimbursements.length > 0
+        ? sortedReimbursements
+            .map((reimbursement) => {
+              const receiptCount = (reimbursement.receipts || []).length;
+              const actionsHtml =
+                reimbursement.status === "pending"
+                  ? canApproveReimbursements
+                    ? `<button onclick="app.handleApproveReimbursement('${reimbursement.id}')" class="btn-edit">承認</button>
+                       <button onclick="app.handleRejectReimbursement('${reimbursement.id}')" class="btn-delete">却下</button>`
+                    : ""
+                  : reimbursement.status === "approved"
+                    ? `<button onclick="app.handlePrintReimbursement('${reimbursement.id}')" class="btn-edit">精算書</button>`
+                    : this.escapeHtml(reimbursement.reviewComment);
+              return `
+                <tr class="reimbursement-${reimbursement.status}">
+                  <td>${formatDate(reimbursement.requestedAt)}<br>${this.escapeHtml(reimbursement.payer)}</td>
+                  <td>${this.escapeHtml(reimbursement.item)}<br>${this.escapeHtml(reimbursement.details)}${receiptCount > 0 ? ` <button onclick="app.handleShowReimbursementReceipts('${reimbursement.id}')" class="btn-receipt" title="領収証を見る">📷${receiptCount}</button>` : ""}</td>
+                  <td>${Number(reimbursement.amount).toLocaleString()}</td>
+                  <td>${dataProcessor.REIMBURSEMENT_STATUS_LABELS[reimbursement.status]}</td>
+                  <td>${actionsHtml}</td>
+                </tr>`;
+            })
+            .join("")
+        : `<tr><td colspan="5">申請はありません。</td></tr>`;
+  },
+
+  renderReimbursementReceipts() {
+    document.getElementById("reimbursement-receipts-preview").innerHTML =
+      this._createReceiptThumbnailsHtml(
+        applicationState.reimbursementReceiptImages,
+        "handleRemoveReimbursementReceipt",
+      );
+  },
+
+  getReimbursementInput() {
+    return {
+      payer: document.getElementById("reimbursement-payer").value.trim(),
+      date: document.getElementById("reimbursement-date").value,
+      item: document.getElementById("reimbursement-item").value,
+      details: document.getElementById("reimbursement-details").value,
+      amount: Math.abs(
+        parseFloat(document.getElementById("reimbursement-amount").value),
+      ),
+      receipts: [...applicationState.reimbursementReceiptImages],
+    };
+  },
+
+  resetReimbursementForm() {
+    [
+      "reimbursement-payer",
+      "reimbursement-date",
+      "reimbursement-details",
+      "reimbursement-amount",
+      "reimbursement-receipts",
+    ].forEach((id) => {
+      document.getElementById(id).value = "";
+    });
+    document.getElementById("reimbursement-item").value = "";
+    applicationState.reimbursementReceiptImages = [];
+    this.renderReimbursementReceipts();
+  },
+
+  renderReimbursementPrint(reimbursement) {
+    const formatDate = (dateStr) =>
+      new Date(dateStr).toLocaleDateString("ja-JP");
+    const rows = [
+      ["立替者（精算を受けた人）", reimbursement.payer],
+      ["立替日", formatDate(reimbursement.date)],
+      ["項目", reimbursement.item],
+      ["内訳", reimbursement.details],
+      ["金額", `${Number(reimbursement.amount).toLocaleString()}円`],
+      ["精算日", formatDate(reimbursement.settledOn)],
+      ["承認", roleService.ROLES[reimbursement.reviewedBy]?.label || ""],
+    ];
+    document.getElementById("reimbursement-print-title").innerText =
+      `${applicationState.selectedFiscalYear}年度 立替金精算書`;
+    document.getElementById("reimbursement-print-body").innerHTML = rows
+      .map(
+        ([label, value]) =>
+          `<tr><th>${label}</th><td>${this.escapeHtml(value)}</td></tr>`,
+      )
+      .join("");
+    document.getElementById("reimbursement-print-payer").innerText =
+      reimbursement.payer;
+  },
+
+  getNewCollectionInput() {
+    const weightInputs = document.querySelectorAll(".collection-weight");
+    return {
+      date: document.getElementById("new-collection-date").value,
+      materials: [...weightInputs]
+        .map((weightInput) => ({
+          material: weightInput.dataset.material,
+          weight: Number(weightInput.value),
+          unitPrice: Number(
+            weightInput
+              .closest(".collection-material-row")
+              .querySelector(".collection-unit-price").value,
+          ),
+        }))
+        .filter((line) => line.weight > 0),
+    };
+  },
+
+  getNewMemberInput() {
+    return {
+      familyName: document.getElementById("new-member-family").value.trim(),
+      childName: document.getElementById("new-member-child").value.trim(),
+      className: document.getElementById("new-member-class").value.trim(),
+    };
+  },
+
+  clearNewMemberInput() {
+    ["new-member-family", "new-member-child"].forEach((id) => {
+      document.getElementById(id).value = "";
+    });
+  },
+
+  renderDashboard() {
+    const dashboardData = dataProcessor.buildDashboardData(
+      applicationState.accountingRecords,
+      applicationState.budgets,
+      applicationState.selectedFiscalYear,
+    );
+    const { COLORS } = chartRenderer;
+    const createSection = (title, chartHtml, emptyMessage) => `
+      <section class="dashboard-section">
+        <h3>${title}</h3>
+        ${chartHtml || `<p class="note">${emptyMessage}</p>`}
+      </section>`;
+
+    const totalExpense = dashboardData.expenseByItem.reduce(
+      (sum, row) => sum + row.totalAmount,
+      0,
+    );
+    const expenseChart =
+      dashboardData.expenseByItem.length > 0 &&
+      chartRenderer.barChart(
+        dashboardData.expenseByItem.map((row) => ({
+          label: row.itemName,
+          value: row.totalAmount,
+          valueLabel: `${row.totalAmount.toLocaleString()}円（${Math.round((row.totalAmount / totalExpense) * 100)}%）`,
+          color: COLORS.expense,
+        })),
+      );
+    const cumulativeChart =
+      totalExpense > 0 || dashboardData.cumulativeIncome.some(Boolean)
+        ? chartRenderer.lineChart(dashboardData.monthLabels, [
+            {
+              name: "収入（累計）",
+              color: COLORS.income,
+              values: dashboardData.cumulativeIncome,
+            },
+            {
+              name: "支出（累計）",
+              color: COLORS.expense,
+              values: dashboardData.cumulativeExpense,
+            },
+          ])
+        : "";
+    const budgetChart =
+      dashboardData.budgetUsage.length > 0 &&
+      chartRenderer.barChart(
+        dashboardData.budgetUsage.map((row) => ({
+          label: row.itemName,
+          value: row.usageRate,
+          valueLabel: `${row.usageRate}%（${row.totalAmount.toLocaleString()} / ${row.budgetAmount.toLocaleString()}円）`,
+          color: row.usageRate > 100 ? COLORS.expense : COLORS.withinBudget,
+        })),
+        {
+          maxValue: Math.max(
+            100,
+            ...dashboardData.budgetUsage.map((row) => row.usageRate),
+          ),
+          referenceValue: 100,
+        },
+      );
+
+    const chartsHtml = [
+      createSection(
+        "支出の内訳（項目別）",
+        expenseChart,
+        "支出の記録はまだありません。",
+      ),
+      createSection(
+        "月別の収入・支出（累計）",
+        cumulativeChart,
+        "この年度の記録はまだありません。",
+      ),
+      createSection(
+        "予算の消化率（支出）",
+        budgetChart,
+        "予算が設定された支出項目はありません。",
+      ),
+    ].join("");
+    const title = `${applicationState.selectedFiscalYear}年度 収支グラフ`;
+    document.getElementById("dashboard-title").innerText = title;
+    document.getElementById("dashboard-charts").innerHTML = chartsHtml;
+    document.getElementById("dashboard-print-title").innerText = title;
+    document.getElementById("dashboard-print-charts").innerHTML = chartsHtml;
+  },
+
+  renderHistory() {
+    const { canDelete } = applicationState.permissions;
+    const formatDateTime = (isoString) =>
+      new Date(isoString).toLocaleString("ja-JP", {
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+    const getRoleLabel = (role) => roleService.ROLES[role]?.label || role || "";
+
+    const deletedRecords = applicationState.deletedRecords;
+    document.getElementById("deleted-body").innerHTML =
+      deletedRecords.length > 0
+        ? deletedRecords
+            .map(
+              ({ record, deletedAt, deletedBy }) => `
+                <tr>
+                  <td>${this.escapeHtml(dataProcessor.describeRecordValues(record))}</td>
+                  <td>${formatDateTime(deletedAt)}<br>${getRoleLabel(deletedBy)}</td>
+                  <td>${canDelete ? `<button onclick="app.handleRestoreRecord('${record[0]}')" class="btn-edit">復元</button>` : ""}</td>
+                </tr>`,
+            )
+            .join("")
+        : `<tr><td colspan="3">削除済みの記録はありません。</td></tr>`;
+
+    const historyRowsHtml = [...applicationState.changeHistory]
+      .reverse()
+      .map(
+        (entry) => `
+          <tr>
+            <td>${formatDateTime(entry.at)}</td>
+            <td>${getRoleLabel(entry.role)}</td>
+            <td>${dataProcessor.HISTORY_ACTION_LABELS[entry.action] || entry.action}</td>
+            <td>${this.escapeHtml(entry.recordId)}</td>
+            <td>${this.escapeHtml(dataProcessor.describeHistoryEntry(entry))}</td>
+          </tr>`,
+      )
+      .join("");
+    const emptyHistoryHtml = `<tr><td colspan="5">変更履歴はありません。</td></tr>`;
+    document.getElementById("history-body").innerHTML =
+      historyRowsHtml || emptyHistoryHtml;
+    document.getElementById("history-print-body").innerHTML =
+      historyRowsHtml || emptyHistoryHtml;
+    document.getElementById("history-print-title").innerText =
+      `${applicationState.selectedFiscalYear}年度 変更履歴`;
+  },
+
+  VALIDATION_FIELD_INPUTS: {
+    date: "input-date",
+    item: "input-item",
+    amount: "input-amount",
+    transferTo: "input-transfer-to",
+    split: "input-split-lines",
+  },
+
+  renderValidationResult({ errors, warnings }) {
+    Object.entries(this.VALIDATION_FIELD_INPUTS).forEach(([field, inputId]) => {
+      const input = document.getElementById(inputId);
+      const fieldErrors = errors.filter((problem) => problem.field === field);
+      const fieldWarnings = warnings.filter(
+        (problem) => problem.field === field,
+      );
+      input.classList.toggle("input-error", fieldErrors.length > 0);
+      input.classList.toggle(
+        "input-warning",
+        fieldErrors.length === 0 && fieldWarnings.length > 0,
+      );
+      document.getElementById(`${inputId}-messages`).innerHTML = [
+        ...fieldErrors.map(
+          (problem) =>
+            `<div class="field-message error">✖ ${problem.message}</div>`,
+        ),
+        ...fieldWarnings.map(
+          (problem) =>
+            `<div class="field-message warning">⚠ ${problem.message}</div>`,
+        ),
+      ].join("");
+    });
+
+    const hasOnlyWarnings = errors.length === 0 && warnings.length > 0;
+    this.domElements.validationSummary.style.display = hasOnlyWarnings
+      ? "block"
+      : "none";
+  },
+
+  clearValidationResult() {
+    this.renderValidationResult({ errors: [], warnings: [] });
+  },
+
+  resetInputForm() {
+    [
+      "input-item",
+      "input-details",
+      "input-amount",
+      "input-payee",
+      "input-memo",
+    ].forEach((id) => {
+      document.getElementById(id).value = "";
+    });
+    document.getElementById("input-date").value = new Date()
+      .toISOString()
+      .split("T")[0];
+    document.getElementById("input-receipts").value = "";
+    applicationState.inputReceiptImages = [];
+    this.renderInputReceipts();
+    this.renderTransferFields();
+    this.resetSplitMode();
+    this.clearValidationResult();
+  },
+
+  resetSplitMode() {
+    document.getElementById("input-split-mode").checked = false;
+    applicationState.inputSplitLines = [];
+    this.renderSplitLines();
+  },
+
+  renderYearOptions() {
+    const requestedYear = new URLSearchParams(window.location.search).get(
+      "year",
+    );
+    const selectedYear = fiscalYearRegistry.find(requestedYear)
+      ? requestedYear
+      : fiscalYearRegistry.getDefaultYear();
+
+    this.domElements.selectYear.innerHTML = fiscalYearRegistry
+      .list()
+      .map(
+        (config) =>
+          `<option value="${config.year}" ${config.year === selectedYear ? "selected" : ""}>${config.label}</option>`,
+      )
+      .join("");
+  },
+
+  renderStorageNotice() {
+    const yearConfig = fiscalYearRegistry.find(
+      this.domElements.selectYear.value,
+    );
+    const isLocal = apiService.getStorageType(yearConfig) === "local";
+    this.domElements.storageNotice.style.display = isLocal ? "block" : "none";
+  },
+
+  showLoginScreen() {
+    this.domElements.passcode.value = "";
+    this.domElements.mainScreen.style.display = "none";
+    this.domElements.loginScreen.style.display = "block";
+  },
+
+  showMainScreen() {
+    this.domElements.loginScreen.style.display = "none";
+    this.domElements.mainScreen.style.display = "block";
+    this.domElements.displayYear.innerText = `${applicationState.selectedFiscalYear}年度 収支入力`;
+    this.renderPeriodOptions();
+    this.renderAccountOptions();
+
+    this.renderRoleAccess();
+  },
+
+  renderRoleAccess() {
+    const { canWrite } = applicationState.permissions;
+    const roleLabel = roleService.ROLES[applicationState.role].label;
+    const expiresAtText = new Date(
+      applicationState.sessionExpiresAt,
+    ).toLocaleString("ja-JP", {
+      month: "numeric",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+    this.domElements.roleIndicator.innerText = `${applicationState.selectedFiscalYear}年度 ／ ${roleLabel}としてログイン中${applicationState.yearConfig.readOnly ? "（閲覧のみ）" : ""}（${expiresAtText}まで）`;
+    ["input", "import"].forEach((name) => {
+      document.getElementById(`tab-${name}`).style.display = canWrite
+        ? ""
+        : "none";
+    });
+    this.switchTab(canWrite ? "input" : "view");
+  },
+};
+
+// --- アプリケーション制御 (Controller) ---
+const appController = {
+  _sessionExpiryTimer: null,
+
+  // Why: データの再取得とUI更新の結果をbooleanで返し、呼び出し元で成否を判断できるようにします。
+  async _reloadDataAndRefreshUI() {
+    const result = await apiService.fetchAllRecords();
+    
+    // GAS側でセッション切れや年度エラーが発生した場合のハンドリング
+    // （セッション切れの案内は handleSessionExpired で表示済みのため重ねて出しません）
+    if (result.error) {
+      if (!result.sessionExpired) alert(result.error);
+      return false; 
+    }
+    
+    applicationState.accountingRecords = result.data;
+    applicationState.role = roleService.resolveRole(result);
+    applicationState.permissions = roleService.getPermissions(
+      applicationState.role,
+      applicationState.yearConfig,
+    );
+    uiManager.renderAccountingTable();
+    uiManager.renderPayeeOptions();
+    return true;
+  },
+
+  async _loadItemMaster() {
+    applicationState.itemMaster = await this._fetchItemMasterOfYear(
+      applicationState.selectedFiscalYear,
+    );
+    this._resetItemMasterDraft();
+    uiManager.renderItemOptions();
+  },
+
+  async _fetchItemMasterOfYear(fiscalYear) {
+    const result = await apiService.fetchItemMasterOfYear(fiscalYear);
+    const hasItemMaster = !result.error && result.data && result.data.length;
+    if (!hasItemMaster && result.error) {
+      console.warn("項目マスタの取得に失敗しました:", result.error);
+    }
+    return dataProcessor.assignDefaultItemPurposes(
+      hasItemMaster
+        ? result.data
+        : dataProcessor.createDefaultItemMaster(
+            fiscalYearRegistry.find(fiscalYear).items,
+          ),
+    );
+  },
+
+  _resetItemMasterDraft() {
+    applicationState.itemMasterDraft = applicationState.itemMaster.map(
+      (item) => ({ ...item, originalName: item.name }),
+    );
+  },
+
+  async _loadBudgets() {
+    const result = await apiService.fetchBudgets();
+    if (result.error) {
+      console.warn("予算の取得に失敗しました:", result.error);
+      applicationState.budgets = {};
+      return;
+    }
+    applicationState.budgets = result.data || {};
+  },
+
+  async _loadPastYearRecords() {
+    const pastYears = fiscalYearRegistry
+      .list()
+      .filter(
+        ({ year }) =>
+          Number(year) < Number(applicationState.selectedFiscalYear) &&
+          !(year in applicationState.pastYearRecords),
+      );
+    for (const { year } of pastYears) {
+      const result = await apiService.fetchRecordsOfYear(year);
+      if (result.error) {
+        console.warn(`${year}年度の記録の取得に失敗しました:`, result.error);
+        continue;
+      }
+      applicationState.pastYearRecords[year] = result.data || [];
+    }
+  },
+
+  async _checkCarryForward() {
+    const previousYear = Number(applicationState.selectedFiscalYear) - 1;
+    const result = await apiService.fetchRecordsOfYear(String(previousYear));
+    if (result.error || !result.data || result.data.length === 0) {
+      applicationState.previousYearClosingBalance = null;
+      return;
+    }
+
+    // 前年度の記録は、前年度の項目マスタで収入・支出を分けます
+    const previousItemMaster = await this._fetchItemMasterOfYear(
+      String(previousYear),
+    );
+    const closingBalance = dataProcessor.calculateClosingBalance(
+      result.data,
+      previousItemMaster,
+    );
+    applicationState.previousYearClosingBalance = closingBalance;
+
+    const hasCarryForward =
+      dataProcessor.getCarryForwardRecords(applicationState.accountingRecords)
+        .length > 0;
+    if (
+      hasCarryForward ||
+      !applicationState.permissions.canWrite ||
+      closingBalance <= 0
+    ) {
+      uiManager.renderCarryForwardWarning();
+      return;
+    }
+
+    const message = `${previousYear}年度の決算残高 ${closingBalance.toLocaleString()}円 を前年度繰越金として登録しますか？`;
+    if (!confirm(message)) return;
+
+    const postResult = await apiService.postNewRecord({
+      date: `${applicationState.selectedFiscalYear}-04-01`,
+      item: dataProcessor.CARRY_FORWARD_ITEM_NAME,
+      details: `${previousYear}年度より繰越`,
+      amount: closingBalance,
+      payee: "",
+      memo: "",
+    });
+    if (postResult.success) {
+      await this._reloadDataAndRefreshUI();
+    } else {
+      alert(postResult.error || "前年度繰越金の登録に失敗しました。");
+    }
+  },
+
+  async handleLogin() {
+    const passcode = uiManager.domElements.passcode.value;
+    applicationState.selectedFiscalYear =
+      uiManager.domElements.selectYear.value;
+    applicationState.yearConfig = fiscalYearRegistry.find(
+      applicationState.selectedFiscalYear,
+    );
+    
+    if (!passcode) {
+      alert("合言葉を入力してください");
+      return;
+    }
+
+    const result = await apiService.login(passcode);
+    uiManager.domElements.passcode.value = "";
+    if (result.error) {
+      alert(result.error);
+      return;
+    }
+
+    const session = {
+      token: result.token,
+      year: applicationState.selectedFiscalYear,
+      expiresAt: Math.min(
+        result.expiresAt || Infinity,
+        Date.now() + sessionService.SESSION_HOURS * 60 * 60 * 1000,
+      ),
+    };
+    sessionService.save(session);
+    await this._startSession(session);
+  },
+
+  async _startSession(session) {
+    applicationState.sessionToken = session.token;
+    applicationState.sessionExpiresAt = session.expiresAt;
+    applicationState.pastYearRecords = {};
+    this._scheduleSessionExpiry();
+
+    await this._loadItemMaster();
+
+    // _reloadDataAndRefreshUIの成否を確認し、成功（トークン有効）の場合のみ画面を切り替える
+    const isSuccess = await this._reloadDataAndRefreshUI();
+    if (isSuccess) {
+      await this._loadBudgets();
+      uiManager.showMainScreen();
+      await this._checkCarryForward();
+      await this._refreshPendingRecords();
+      if (navigator.onLine) {
+        await this.syncPendingRecords();
+      }
+      await this._loadPastYearRecords();
+      uiManager.renderPayeeOptions();
+    }
+  },
+
+  async _resumeSession() {
+    const session = sessionService.load();
+    if (!session || !fiscalYearRegistry.find(session.year)) return;
+
+    applicationState.selectedFiscalYear = session.year;
+    applicationState.yearConfig = fiscalYearRegistry.find(session.year);
+    uiManager.domElements.selectYear.value = session.year;
+    uiManager.renderStorageNotice();
+    await this._startSession(session);
+  },
+
+  // setTimeout の上限（約24.8日）を超える待ち時間は上限で区切ります
+  _scheduleSessionExpiry() {
+    clearTimeout(this._sessionExpiryTimer);
+    const remaining = applicationState.sessionExpiresAt - Date.now();
+    this._sessionExpiryTimer = setTimeout(
+      () => {
+        if (Date.now() >= applicationState.sessionExpiresAt) {
+          this.handleSessionExpired();
+        } else {
+          this._scheduleSessionExpiry();
+        }
+      },
+      Math.min(Math.max(remaining, 0), 2 ** 31 - 1),
+    );
+  },
+
+  _endSession() {
+    clearTimeout(this._sessionExpiryTimer);
+    sessionService.clear();
+    applicationState.sessionToken = "";
+    applicationState.sessionExpiresAt = 0;
+    applicationState.editingRecordId = null;
+    applicationState.editingRecordVersion = null;
+    applicationState.hasUnsavedMembers = false;
+    applicationState.hasUnsavedCollections = false;
+    uiManager.resetInputForm();
+    uiManager.setEditMode(false);
+    uiManager.showLoginScreen();
+  },
+
+  handleSessionExpired() {
+    if (!applicationState.sessionToken) return;
+    this._endSession();
+    alert("ログインの有効期限が切れました。もう一度ログインしてください。");
+  },
+
+  async handleLogout() {
+    if (!this._confirmDiscardUnsavedChanges()) return;
+    if (!confirm("ログアウトしますか？")) return;
+    await apiService.logout();
+    this._endSession();
+  },
+
+  // 無視するのは表示済みの注意だけで、表示後に新しい注意が出た場合は改めて止めます
+  _isValidRecordInput(
+    recordData,
+    { ignoreWarnings = false, splitLines = [] } = {},
+  ) {
+    const validationResult = recordValidator.validate(recordData, {
+      records: applicationState.accountingRecords,
+      fiscalYear: applicationState.selectedFiscalYear,
+      yearConfig: applicationState.yearConfig,
+      editingRecordId: applicationState.editingRecordId,
+      splitLines,
+    });
+    const toWarningKey = (problem) => `${problem.field}:${problem.message}`;
+    const shownWarnings = ignoreWarnings
+      ? validationResult.warnings.filter(
+          (problem) =>
+            !applicationState.shownValidationWarnings.includes(
+              toWarningKey(problem),
+            ),
+        )
+      : validationResult.warnings;
+    applicationState.shownValidationWarnings =
+      validationResult.warnings.map(toWarningKey);
+    uiManager.renderValidationResult({
+      errors: validationResult.errors,
+      warnings: shownWarnings,
+    });
+    return validationResult.errors.length === 0 && shownWarnings.length === 0;
+  },
+
+  handleSaveAnyway() {
+    return applicationState.editingRecordId
+      ? this.handleUpdateRecord({ ignoreWarnings: true })
+      : this.handleSaveNewRecord({ ignoreWarnings: true });
+  },
+
+  async _addReceiptFiles(files, receiptImages, fileInput) {
+    try {
+      for (const file of Array.from(files)) {
+        receiptImages.push(await receiptService.compressImage(file));
+      }
+    } catch (error) {
+      console.error("領収証の読み込みに失敗しました:", error);
+      alert("写真を読み込めませんでした。画像ファイルを選んでください。");
+    }
+    fileInput.value = "";
+  },
+
+  async handleSelectReceiptFiles(files) {
+    await this._addReceiptFiles(
+      files,
+      applicationState.inputReceiptImages,
+      document.getElementById("input-receipts"),
+    );
+    uiManager.renderInputReceipts();
+  },
+
+  handleRemoveInputReceipt(index) {
+    applicationState.inputReceiptImages.splice(index, 1);
+    uiManager.renderInputReceipts();
+  },
+
+  handleToggleAuditMode(isAuditMode) {
+    applicationState.isAuditMode = isAuditMode;
+    uiManager.renderAccountingTable();
+  },
+
+  async _saveAudit(recordId, changes) {
+    const targetRecord = dataProcessor.findRecordById(
+      applicationState.accountingRecords,
+      recordId,
+    );
+    if (!targetRecord) return;
+
+    const { auditorNames } = uiManager.getAuditorInputs();
+    const audit = {
+      ...dataProcessor.getAuditInfo(targetRecord),
+      ...changes,
+      auditor: auditorNames.join("・"),
+      verifiedAt: new Date().toISOString(),
+    };
+    const result = await apiService.saveAudit(recordId, audit);
+    if (!result.success) {
+      await this._reportWriteFailure(result, "監査の記録に失敗しました。");
+      return;
+    }
+    await this._reloadDataAndRefreshUI();
+  },
+
+  handleToggleVerified(recordId, isVerified) {
+    return this._saveAudit(recordId, { verified: isVerified });
+  },
+
+  handleEditAuditComment(recordId) {
+    const targetRecord = dataProcessor.findRecordById(
+      applicationState.accountingRecords,
+      recordId,
+    );
+    if (!targetRecord) return;
+
+    const currentComment = dataProcessor.getAuditInfo(targetRecord).comment;
+    const comment = prompt(
+      "この記録への指摘・コメントを入力してください（空欄で削除）",
+      currentComment,
+    );
+    if (comment === null) return;
+    return this._saveAudit(recordId, { comment: comment.trim() });
+  },
+
+  handlePrintAuditReport() {
+    const auditReport = dataProcessor.buildAuditReport(
+      applicationState.accountingRecords,
+    );
+    if (
+      auditReport.verifiedCount < auditReport.totalCount &&
+      !confirm(
+        `未確認の記録が${auditReport.totalCount - auditReport.verifiedCount}件あります。監査報告書を出力しますか？`,
+      )
+    ) {
+      return;
+    }
+    uiManager.renderAuditReport(auditReport, uiManager.getAuditorInputs());
+    this._printWithMode("audit", "会計監査報告書");
+  },
+
+  handleShowReceipts(recordId) {
+    const targetRecord = dataProcessor.findRecordById(
+      applicationState.accountingRecords,
+      recordId,
+    );
+    if (!targetRecord) return;
+    uiManager.showReceiptViewer(dataProcessor.getReceiptImages(targetRecord));
+  },
+
+  _shouldQueueWhileOffline() {
+    return (
+      !navigator.onLine &&
+      apiService.getStorageType(applicationState.yearConfig) !== "local"
+    );
+  },
+
+  // 応答だけが届かずに再送しても保存先が同じ記録を2度作らないよう、記録ごとに clientId を付けます
+  _withClientId(recordData) {
+    return { ...recordData, clientId: crypto.randomUUID() };
+  },
+
+  async handleSaveNewRecord(options) {
+    const newRecordData = this._withClientId(
+      uiManager.getInputDataForNewRecord(),
+    );
+    const splitLines = uiManager.getSplitLines();
+    if (!this._isValidRecordInput(newRecordData, { ...options, splitLines })) {
+      return;
+    }
+    if (splitLines.length > 0) {
+      await this._saveSplitRecords(newRecordData, splitLines);
+      return;
+    }
+
+    if (this._shouldQueueWhileOffline()) {
+      await this._queueNewRecords([newRecordData]);
+      return;
+    }
+
+    const result = await apiService.postNewRecord(newRecordData);
+    if (result.success) {
+      alert("保存しました");
+      uiManager.resetInputForm();
+      await this._reloadDataAndRefreshUI();
+    } else if (result.isNetworkError) {
+      await this._queueNewRecords([newRecordData]);
+    } else {
+      alert(result.error || "保存に失敗しました。");
+    }
+  },
+
+  // 領収証の写真は重複して保存しないよう、最初の行にだけ付けます
+  async _saveSplitRecords(paymentData, splitLines) {
+    const splitGroupId = dataProcessor.createId("s");
+    const splitRecords = splitLines.map((line, index) =>
+      this._withClientId({
+        ...paymentData,
+        item: line.item,
+        details: line.details,
+        amount: line.amount,
+        receipts: index === 0 ? paymentData.receipts : [],
+        transferTo: "",
+        splitGroupId,
+      }),
+    );
+
+    if (this._shouldQueueWhileOffline()) {
+      await this._queueNewRecords(splitRecords);
+      return;
+    }
+    const result = await apiService.postRecordsInBulk(splitRecords);
+    if (result.success) {
+      alert(`${splitRecords.length}件に分けて保存しました`);
+      uiManager.resetInputForm();
+      await this._reloadDataAndRefreshUI();
+    } else if (result.isNetworkError) {
+      await this._queueNewRecords(splitRecords);
+    } else {
+      alert(result.error || "保存に失敗しました。");
+    }
+  },
+
+  handleToggleSplitMode(isSplitMode) {
+    if (isSplitMode && applicationState.inputSplitLines.length === 0) {
+      applicationState.inputSplitLines = [0, 1].map(() => ({
+        item: "",
+        details: "",
+        amount: "",
+      }));
+    }
+    uiManager.renderSplitLines();
+  },
+
+  handleAddSplitLine() {
+    applicationState.inputSplitLines.push({
+      item: "",
+      details: "",
+      amount: "",
+    });
+    uiManager.renderSplitLines();
+  },
+
+  handleRemoveSplitLine(index) {
+    applicationState.inputSplitLines.splice(index, 1);
+    uiManager.renderSplitLines();
+  },
+
+  handleEditSplitLine(index, field, value) {
+    applicationState.inputSplitLines[index][field] = value;
+    uiManager.renderSplitRemaining();
+  },
+
+  async _queueNewRecords(recordDataList) {
+    try {
+      for (const recordData of recordDataList) {
+        await offlineQueue.add({
+          year: applicationState.selectedFiscalYear,
+          recordData,
+          status: "pending",
+          error: "",
+          queuedAt: new Date().toISOString(),
+        });
+      }
+    } catch (error) {
+      console.error("未送信キューへの保存に失敗しました:", error);
+      alert("通信に失敗し、端末への一時保存もできませんでした。");
+      return;
+    }
+
+    alert(
+      "通信できないため端末に一時保存しました（未送信）。\n通信が回復すると自動で送信します。",
+    );
+    uiManager.resetInputForm();
+    await this._refreshPendingRecords();
+  },
+
+  async _refreshPendingRecords() {
+    try {
+      const entries = await offlineQueue.getAll();
+      applicationState.pendingRecords = entries.filter(
+        (entry) => entry.year === applicationState.selectedFiscalYear,
+      );
+    } catch (error) {
+      console.error("未送信キューの読み込みに失敗しました:", error);
+      applicationState.pendingRecords = [];
+    }
+    uiManager.renderAccountingTable();
+  },
+
+  // clientId に対応していない保存先でも二重に登録しないよう、同じ内容の記録が台帳にあれば送らずに確認を求めます
+  async syncPendingRecords() {
+    if (applicationState.isSyncingPendingRecords) return;
+    applicationState.isSyncingPendingRecords = true;
+
+    let sentCount = 0;
+    let failedCount = 0;
+    try {
+      await this._refreshPendingRecords();
+      const targets = applicationState.pendingRecords.filter(
+        (entry) => entry.status === "pending",
+      );
+      const recordsResult =
+        targets.length > 0 ? await apiService.fetchAllRecords() : { data: [] };
+      for (const entry of recordsResult.error ? [] : targets) {
+        const isDuplicate =
+          !entry.isDuplicateConfirmed &&
+          recordValidator.RULES.duplicate(entry.recordData, {
+            records: recordsResult.data,
+            editingRecordId: null,
+          }).length > 0;
+        if (isDuplicate) {
+          await offlineQueue.update({
+            ...entry,
+            status: "failed",
+            error:
+              "同じ日付・項目・金額の記録がすでに台帳にあります。送信済みでないか確認し、別の記録なら「再送」してください。",
+          });
+          failedCount++;
+          continue;
+        }
+        const result = await apiService.postNewRecord(entry.recordData);
+        if (result.success) {
+          await offlineQueue.remove(entry.id);
+          sentCount++;
+        } else if (result.isNetworkError || result.sessionExpired) {
+          break;
+        } else {
+          await offlineQueue.update({
+            ...entry,
+            status: "failed",
+            error: result.error || "保存に失敗しました。",
+          });
+          failedCount++;
+        }
+      }
+    } finally {
+      applicationState.isSyncingPendingRecords = false;
+    }
+
+    if (sentCount > 0) {
+      await this._reloadDataAndRefreshUI();
+    }
+    await this._refreshPendingRecords();
+
+    const messages = [];
+    if (sentCount > 0)
+      messages.push(`未送信の記録 ${sentCount}件を送信しました。`);
+    if (failedCount > 0) {
+      messages.push(
+        `${failedCount}件は送信できませんでした。閲覧画面の「送信失敗」の行で理由を確認してください。`,
+      );
+    }
+    if (messages.length > 0) alert(messages.join("\n"));
+  },
+
+  async handleRetryPendingRecord(id) {
+    const entry = applicationState.pendingRecords.find(
+      (pending) => pending.id === id,
+    );
+    if (!entry) return;
+    await offlineQueue.update({
+      ...entry,
+      status: "pending",
+      error: "",
+      isDuplicateConfirmed: true,
+    });
+    await this.syncPendingRecords();
+  },
+
+  async handleDiscardPendingRecord(id) {
+    if (!confirm("この未送信の記録を破棄してもよろしいですか？")) return;
+    await offlineQueue.remove(id);
+    await this._refreshPendingRecords();
+  },
+
+  handleEditRecord(recordId) {
+    const targetRecord = dataProcessor.findRecordById(
+      applicationState.accountingRecords,
+      recordId,
+    );
+    if (!targetRecord) return;
+
+    applicationState.editingRecordId = recordId;
+    applicationState.editingRecordVersion =
+      dataProcessor.getRecordVersion(targetRecord);
+    uiManager.resetSplitMode();
+    uiManager.fillInputForm(targetRecord);
+    uiManager.setEditMode(true);
+    uiManager.switchTab("input");
+  },
+
+  async handleUpdateRecord(options) {
+    const updatedRecordData = uiManager.getInputDataForNewRecord();
+    if (!this._isValidRecordInput(updatedRecordData, options)) return;
+
+    const result = await apiService.updateRecord(
+      applicationState.editingRecordId,
+      applicationState.editingRecordVersion,
+      updatedRecordData,
+    );
+    if (result.success) {
+      alert("更新しました");
+      this.handleCancelEdit();
+      await this._reloadDataAndRefreshUI();
+    } else {
+      if (result.conflict) this.handleCancelEdit();
+      await this._reportWriteFailure(result, "更新に失敗しました。");
+    }
+  },
+
+  async _reportWriteFailure(result, fallbackMessage) {
+    if (result.sessionExpired) return;
+    if (!result.conflict) {
+      alert(result.error || fallbackMessage);
+      return;
+    }
+    alert(
+      `${result.error || "他の人がこの記録を変更しました。"}\n最新の内容を読み込み直します。`,
+    );
+    await this._reloadDataAndRefreshUI();
+  },
+
+  handleCancelEdit() {
+    applicationState.editingRecordId = null;
+    applicationState.editingRecordVersion = null;
+    uiManager.resetInputForm();
+    uiManager.setEditMode(false);
+    uiManager.switchTab("view");
+  },
+
+  async handleDeleteRecord(recordId) {
+    if (
+      !confirm(
+        "この行を削除してもよろしいですか？\n（削除した記録は「変更履歴」タブから復元できます）",
+      )
+    ) {
+      return;
+    }
+    const targetRecord = dataProcessor.findRecordById(
+      applicationState.accountingRecords,
+      recordId,
+    );
+    if (!targetRecord) return;
+    const result = await apiService.deleteRecord(
+      recordId,
+      dataProcessor.getRecordVersion(targetRecord),
+    );
+    if (result.success) {
+      await this._reloadDataAndRefreshUI();
+    } else {
+      await this._reportWriteFailure(result, "削除に失敗しました。");
+    }
+  },
+
+  async handleShowHistory() {
+    if (!this._confirmDiscardUnsavedChanges()) return;
+    const [deletedResult, historyResult] = await Promise.all([
+      apiService.fetchDeletedRecords(),
+      apiService.fetchChangeHistory(),
+    ]);
+    if (deletedResult.error || historyResult.error) {
+      alert(
+        deletedResult.error ||
+          historyResult.error ||
+          "変更履歴の取得に失敗しました。",
+      );
+      return;
+    }
+    applicationState.deletedRecords = deletedResult.data || [];
+    applicationState.changeHistory = historyResult.data || [];
+    uiManager.switchTab("history");
+  },
+
+  async handleRestoreRecord(recordId) {
+    if (!confirm("この記録を復元しますか？")) return;
+    const result = await apiService.restoreRecord(recordId);
+    if (!result.success) {
+      await this._reportWriteFailure(result, "復元に失敗しました。");
+      await this.handleShowHistory();
+      return;
+    }
+    await this._reloadDataAndRefreshUI();
+    await this.handleShowHistory();
+  },
+
+  handlePrintHistory() {
+    this._printWithMode("history", "変更履歴");
+  },
+
+  _confirmDiscardUnsavedChanges() {
+    const unsavedLabels = [
+      applicationState.hasUnsavedMembers && "会員名簿",
+      applicationState.hasUnsavedCollections && "資源回収",
+    ].filter(Boolean);
+    if (unsavedLabels.length === 0) return true;
+    if (
+      !confirm(
+        `${unsavedLabels.join("・")}に保存していない変更があります。保存せずに移動しますか？`,
+      )
+    ) {
+      return false;
+    }
+    applicationState.hasUnsavedMembers = false;
+    applicationState.hasUnsavedCollections = false;
+    return true;
+  },
+
+  handleSwitchTab(tabName) {
+    if (!this._confirmDiscardUnsavedChanges()) return;
+    uiManager.switchTab(tabName);
+  },
+
+  async handleShowMembers() {
+    if (!this._confirmDiscardUnsavedChanges()) return;
+    const result = await apiService.fetchMembers();
+    if (result.error) {
+      alert(result.error);
+      return;
+    }
+    applicationState.members = result.data || [];
+    uiManager.switchTab("members");
+  },
+
+  handleAddMember() {
+    const newMember = uiManager.getNewMemberInput();
+    if (!newMember.familyName) {
+      alert("世帯名を入力してください");
+      return;
+    }
+    applicationState.members.push({
+      id: dataProcessor.createId("m"),
+      ...newMember,
+      paidAt: "",
+      paidAmount: "",
+    });
+    applicationState.hasUnsavedMembers = true;
+    uiManager.clearNewMemberInput();
+    uiManager.renderMembers();
+  },
+
+  _findMember(memberId) {
+    return applicationState.members.find((member) => member.id === memberId);
+  },
+
+  handleEditMember(memberId, field, value) {
+    const member = this._findMember(memberId);
+    member[field] =
+      field === "paidAmount" && value !== "" ? Number(value) : value;
+    applicationState.hasUnsavedMembers = true;
+    uiManager.renderMembershipReport();
+  },
+
+  handleMarkMemberPaid(memberId) {
+    const member = this._findMember(memberId);
+    member.paidAt = dataProcessor.toLocalDateString(new Date());
+    member.paidAmount = applicationState.yearConfig.membershipFee ?? "";
+    applicationState.hasUnsavedMembers = true;
+    uiManager.renderMembers();
+  },
+
+  handleRemoveMember(memberId) {
+    const member = this._findMember(memberId);
+    if (!confirm(`${member.familyName} を名簿から外しますか？`)) return;
+    applicationState.members = applicationState.members.filter(
+      (target) => target !== member,
+    );
+    applicationState.hasUnsavedMembers = true;
+    uiManager.renderMembers();
+  },
+
+  async handleSaveMembers() {
+    const result = await apiService.saveMembers(applicationState.members);
+    if (result.success) {
+      applicationState.hasUnsavedMembers = false;
+      alert("名簿を保存しました");
+    } else {
+      alert(result.error || "名簿の保存に失敗しました。");
+    }
+  },
+
+  async handleShowPayeeReport(payee) {
+    await this._loadPastYearRecords();
+    const yearlyRecords = fiscalYearRegistry
+      .list()
+      .filter(
+        ({ year }) =>
+          Number(year) <= Number(applicationState.selectedFiscalYear),
+      )
+      .map(({ year, label }) => ({
+        year,
+        label,
+        records:
+          year === applicationState.selectedFiscalYear
+            ? applicationState.accountingRecords
+            : applicationState.pastYearRecords[year] || [],
+      }));
+    applicationState.payeeReport = dataProcessor.buildPayeeReport(
+      payee,
+      yearlyRecords,
+    );
+    uiManager.switchTab("payees");
+  },
+
+  async handleMergePayees() {
+    const { fromPayees, toPayee } = uiManager.getPayeeMergeInput();
+    if (fromPayees.length === 0 || !toPayee) {
+      alert("まとめる支払先を選び、まとめた後の名前を入力してください");
+      return;
+    }
+    const message = `${fromPayees.map((payee) => `「${payee}」`).join("")} を「${toPayee}」にまとめます。\n${applicationState.selectedFiscalYear}年度の記録の支払先が書き換わります。よろしいですか？`;
+    if (!confirm(message)) return;
+
+    const result = await apiService.renamePayees(fromPayees, toPayee);
+    if (!result.success) {
+      await this._reportWriteFailure(
+        result,
+        "支払先をまとめられませんでした。",
+      );
+      return;
+    }
+    alert(`${result.count ?? ""}件の記録の支払先を「${toPayee}」にしました`);
+    document.getElementById("payee-merge-to").value = "";
+    await this._reloadDataAndRefreshUI();
+    uiManager.switchTab("payees");
+  },
+
+  async handleShowReimbursements() {
+    if (!this._confirmDiscardUnsavedChanges()) return;
+    const result = await apiService.fetchReimbursements();
+    if (result.error) {
+      alert(result.error);
+      return;
+    }
+    applicationState.reimbursements = result.data || [];
+    uiManager.switchTab("reimbursements");
+  },
+
+  async handleSelectReimbursementReceipts(files) {
+    await this._addReceiptFiles(
+      files,
+      applicationState.reimbursementReceiptImages,
+      document.getElementById("reimbursement-receipts"),
+    );
+    uiManager.renderReimbursementReceipts();
+  },
+
+  handleRemoveReimbursementReceipt(index) {
+    applicationState.reimbursementReceiptImages.splice(index, 1);
+    uiManager.renderReimbursementReceipts();
+  },
+
+  async handleSubmitReimbursement() {
+    const reimbursement = uiManager.getReimbursementInput();
+    if (
+      !reimbursement.payer ||
+      !reimbursement.date ||
+      !reimbursement.item ||
+      !reimbursement.amount
+    ) {
+      alert("立替者・立替日・項目・金額は必須です");
+      return;
+    }
+    const result = await apiService.submitReimbursement(reimbursement);
+    if (!result.success) {
+      alert(result.error || "申請に失敗しました。");
+      return;
+    }
+    alert("申請しました。会計の承認をお待ちください。");
+    uiManager.resetReimbursementForm();
+    await this.handleShowReimbursements();
+  },
+
+  _findReimbursement(reimbursementId) {
+    return applicationState.reimbursements.find(
+      (reimbursement) => reimbursement.id === reimbursementId,
+    );
+  },
+
+  // 年度が明けてから前年度分を精算することもあるため、精算日は年度内に収めた日付を初期値にします
+  async handleApproveReimbursement(reimbursementId) {
+    const reimbursement = this._findReimbursement(reimbursementId);
+    const fiscalYearEnd = `${Number(applicationState.selectedFiscalYear) + 1}-03-31`;
+    const today = dataProcessor.toLocalDateString(new Date());
+    const dateText = prompt(
+      `${reimbursement.payer} さんへの立替金 ${Number(reimbursement.amount).toLocaleString()}円 を精算し、台帳に記録します。\n精算日を入力してください（例：2026-04-30）`,
+      today > fiscalYearEnd ? fiscalYearEnd : today,
+    );
+    if (dateText === null) return;
+
+    const recordData = dataProcessor.createReimbursementRecordData(
+      reimbursement,
+      {
+        date: dataProcessor.normalizeDateString(dateText),
+        account: document.getElementById("reimbursement-account").value,
+      },
+    );
+    const { errors, warnings } = recordValidator.validate(recordData, {
+      records: applicationState.accountingRecords,
+      fiscalYear: applicationState.selectedFiscalYear,
+      yearConfig: applicationState.yearConfig,
+      editingRecordId: null,
+    });
+    if (errors.length > 0) {
+      alert(errors.map((problem) => problem.message).join("\n"));
+      return;
+    }
+    if (
+      warnings.length > 0 &&
+      !confirm(
+        `${warnings.map((problem) => problem.message).join("\n")}\nこのまま精算しますか？`,
+      )
+    ) {
+      return;
+    }
+
+    const result = await apiService.approveReimbursement(
+      reimbursementId,
+      recordData,
+    );
+    if (!result.success) {
+      await this._reportWriteFailure(result, "精算に失敗しました。");
+      await this.handleShowReimbursements();
+      return;
+    }
+    await this._reloadDataAndRefreshUI();
+    await this.handleShowReimbursements();
+  },
+
+  async handleRejectReimbursement(reimbursementId) {
+    const reviewComment = prompt("却下の理由を入力してください");
+    if (reviewComment === null) return;
+    const result = await apiService.rejectReimbursement(
+      reimbursementId,
+      reviewComment,
+    );
+    if (!result.success) {
+      await this._reportWriteFailure(result, "却下に失敗しました。");
+    }
+    await this.handleShowReimbursements();
+  },
+
+  handleShowReimbursementReceipts(reimbursementId) {
+    uiManager.showReceiptViewer(
+      this._findReimbursement(reimbursementId).receipts,
+    );
+  },
+
+  handlePrintReimbursement(reimbursementId) {
+    const reimbursement = this._findReimbursement(reimbursementId);
+    uiManager.renderReimbursementPrint(reimbursement);
+    this._printWithMode("reimbursement", `立替金精算書_${reimbursement.payer}`);
+  },
+
+  async handleShowCollections() {
+    if (!this._confirmDiscardUnsavedChanges()) return;
+    const result = await apiService.fetchCollections();
+    if (result.error) {
+      alert(result.error);
+      return;
+    }
+    applicationState.collections = result.data || [];
+    uiManager.switchTab("recycling");
+  },
+
+  handleAddCollection() {
+    const newCollection = uiManager.getNewCollectionInput();
+    if (!newCollection.date || newCollection.materials.length === 0) {
+      alert("回収日と、少なくとも1品目の重さを入力してください");
+      return;
+    }
+    applicationState.collections.push({
+      id: dataProcessor.createId("c"),
+      ...newCollection,
+      recordId: "",
+    });
+    applicationState.hasUnsavedCollections = true;
+    document.getElementById("new-collection-date").value = "";
+    uiManager.renderCollections();
+  },
+
+  _findCollection(collectionId) {
+    return applicationState.collections.find(
+      (collection) => collection.id === collectionId,
+    );
+  },
+
+  handleLinkCollection(collectionId, recordId) {
+    this._findCollection(collectionId).recordId = recordId;
+    applicationState.hasUnsavedCollections = true;
+    uiManager.renderCollectionReport();
+  },
+
+  handleRemoveCollection(collectionId) {
+    const collection = this._findCollection(collectionId);
+    if (!confirm(`${collection.date} の回収の記録を削除しますか？`)) return;
+    applicationState.collections = applicationState.collections.filter(
+      (target) => target !== collection,
+    );
+    applicationState.hasUnsavedCollections = true;
+    uiManager.renderCollections();
+  },
+
+  async handleSaveCollections() {
+    const result = await apiService.saveCollections(
+      applicationState.collections,
+    );
+    if (result.success) {
+      applicationState.hasUnsavedCollections = false;
+      alert("資源回収の記録を保存しました");
+    } else {
+      alert(result.error || "資源回収の記録の保存に失敗しました。");
+    }
+  },
+
+  handlePrintCollectionReport() {
+    uiManager.renderCollectionReport();
+    this._printWithMode("recycling", "資源回収照合表");
+  },
+
+  handlePrintUnpaidMembers() {
+    uiManager.renderMembershipReport();
+    this._printWithMode("members", "会費未納者一覧");
+  },
+
+  handlePrintDashboard() {
+    uiManager.renderDashboard();
+    this._printWithMode("dashboard", "収支グラフ");
+  },
+
+  // 予算の画面に無い廃止済みの項目の予算は、消さずに残します
+  async handleSaveBudgets() {
+    const formItemNames = [
+      ...dataProcessor.getItemNames("income"),
+      ...dataProcessor.getItemNames("expense"),
+    ];
+    const budgets = {
+      ...Object.fromEntries(
+        Object.entries(applicationState.budgets).filter(
+          ([itemName]) => !formItemNames.includes(itemName),
+        ),
+      ),
+      ...uiManager.getBudgetInputs(),
+    };
+    const result = await apiService.saveBudgets(budgets);
+    if (result.success) {
+      applicationState.budgets = budgets;
+      alert("予算を保存しました");
+    } else {
+      alert(result.error || "予算の保存に失敗しました。");
+    }
+  },
+
+  handleRenameItemDraft(draftIndex, newName) {
+    applicationState.itemMasterDraft[draftIndex].name = newName;
+  },
+
+  handleSetItemPurposeDraft(draftIndex, purpose) {
+    applicationState.itemMasterDraft.forEach((item, index) => {
+      if (index === draftIndex) {
+        item.purpose = purpose;
+      } else if (purpose && item.purpose === purpose) {
+        item.purpose = "";
+      }
+    });
+    uiManager.renderItemMasterEditor();
+  },
+
+  handleToggleItemDraft(draftIndex, isActive) {
+    applicationState.itemMasterDraft[draftIndex].active = isActive;
+    uiManager.renderItemMasterEditor();
+  },
+
+  handleMoveItemDraft(draftIndex, direction) {
+    const draft = applicationState.itemMasterDraft;
+    const target = draft[draftIndex];
+    const sameTypeItems = draft
+      .filter((item) => item.type === target.type)
+      .sort((a, b) => a.order - b.order);
+    const neighbor = sameTypeItems[sameTypeItems.indexOf(target) + direction];
+    if (!neighbor) return;
+
+    [target.order, neighbor.order] = [neighbor.order, target.order];
+    uiManager.renderItemMasterEditor();
+  },
+
+  handleAddItemDraft() {
+    const { type, name } = uiManager.getNewItemInput();
+    const draft = applicationState.itemMasterDraft;
+    if (!name) {
+      alert("項目名を入力してください");
+      return;
+    }
+    if (dataProcessor.isTransfer(name)) {
+      alert(`「${name}」は口座間の振替に使う名前のため、項目名にはできません`);
+      return;
+    }
+    if (draft.some((item) => item.name === name)) {
+      alert("同じ名前の項目がすでにあります");
+      return;
+    }
+
+    const maxOrder = Math.max(
+      0,
+      ...draft.filter((item) => item.type === type).map((item) => item.order),
+    );
+    draft.push({
+      name,
+      type,
+      order: maxOrder + 1,
+      active: true,
+      originalName: null,
+    });
+    document.getElementById("new-item-name").value = "";
+    uiManager.renderItemMasterEditor();
+  },
+
+  async handleSaveItemMaster() {
+    const draft = applicationState.itemMasterDraft.map((item) => ({
+      ...item,
+      name: item.name.trim(),
+    }));
+    const names = draft.map((item) => item.name);
+    if (names.some((name) => !name)) {
+      alert("項目名が空欄の行があります");
+      return;
+    }
+    if (names.some((name) => dataProcessor.isTransfer(name))) {
+      alert(
+        `「${dataProcessor.TRANSFER_ITEM_NAME}」は口座間の振替に使う名前のため、項目名にはできません`,
+      );
+      return;
+    }
+    if (new Set(names).size !== names.length) {
+      alert("同じ名前の項目が重複しています");
+      return;
+    }
+
+    const items = draft.map(({ name, type, order, active, purpose }) => ({
+      name,
+      type,
+      order,
+      active,
+      ...(purpose && { purpose }),
+    }));
+    const renames = draft
+      .filter((item) => item.originalName && item.originalName !== item.name)
+      .map((item) => ({ from: item.originalName, to: item.name }));
+
+    const result = await apiService.saveItemMaster(items, renames);
+    if (!result.success) {
+      alert(result.error || "項目設定の保存に失敗しました。");
+      return;
+    }
+
+    applicationState.itemMaster = items;
+    this._resetItemMasterDraft();
+    uiManager.renderItemOptions();
+    if (renames.length > 0) {
+      await this._loadBudgets();
+      await this._reloadDataAndRefreshUI();
+    }
+    uiManager.renderItemMasterEditor();
+    alert("項目設定を保存しました");
+  },
+
+  handleExportCsv() {
+    const { scope, encoding } = uiManager.getCsvExportOptions();
+    const records =
+      scope === "filtered"
+        ? uiManager.getFilteredRecords()
+        : dataProcessor.filterAndSortRecords(
+            applicationState.accountingRecords,
+            "ALL",
+            "asc",
+          );
+    if (records.length === 0) {
+      alert("出力する記録がありません");
+      return;
+    }
+
+    const blob = csvService.createCsvBlob(
+      csvService.buildCsv(records),
+      encoding,
+    );
+    uiManager.downloadBlob(
+      blob,
+      `${applicationState.selectedFiscalYear}年度_会計記録.csv`,
+    );
+  },
+
+  async handleSelectCsvFile(file) {
+    if (!file) return;
+    const text = csvService.decode(await file.arrayBuffer());
+    const rows = csvService.parseCsv(text);
+    if (rows.length === 0) {
+      alert("CSVに読み取れる行がありません");
+      return;
+    }
+    applicationState.csvImport = {
+      rows,
+      hasHeader: true,
+      mapping: csvService.guessMapping(rows[0]),
+    };
+    uiManager.renderCsvImport();
+  },
+
+  handleChangeCsvMapping() {
+    const { mapping, hasHeader } = uiManager.getCsvMappingInputs();
+    applicationState.csvImport.mapping = mapping;
+    applicationState.csvImport.hasHeader = hasHeader;
+    uiManager.renderCsvImport();
+  },
+
+  async handleImportCsv() {
+    const { rows, hasHeader, mapping } = applicationState.csvImport;
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+    const validRows = dataProcessor
+      .convertCsvRowsToRecords(dataRows, mapping)
+      .filter(({ errors }) => errors.length === 0);
+    const validRecords = validRows.map(({ recordData }) => recordData);
+    if (validRecords.length === 0) return;
+    const warningCount = validRows.filter(
+      ({ warnings }) => warnings.length > 0,
+    ).length;
+    if (
+      !confirm(
+        `${validRecords.length}件の記録を登録してもよろしいですか？` +
+          (warningCount > 0
+            ? `\n（うち${warningCount}件に注意があります）`
+            : ""),
+      )
+    ) {
+      return;
+    }
+
+    const result = await apiService.postRecordsInBulk(validRecords);
+    if (result.success) {
+      alert(`${validRecords.length}件を登録しました`);
+      applicationState.csvImport = { rows: [], hasHeader: true, mapping: {} };
+      document.getElementById("csv-import-file").value = "";
+      uiManager.renderCsvImport();
+      await this._reloadDataAndRefreshUI();
+    } else {
+      alert(result.error || "取り込みに失敗しました。");
+    }
+  },
+
+  // document.title はPDF保存時の既定のファイル名になるため、印刷中だけ差し替えます
+  _printWithMode(printMode, documentTitle) {
+    const originalTitle = document.title;
+    document.title = `${applicationState.selectedFiscalYear}年度_${documentTitle}`;
+
+    document.body.classList.add(`printing-${printMode}`);
+    window.print();
+    setTimeout(() => {
+      document.title = originalTitle;
+      document.body.classList.remove(`printing-${printMode}`);
+    }, 1000);
+  },
+
+  handlePrintReport() {
+    const filterSelect = uiManager.domElements.filterItem;
+    const itemName = filterSelect.options[filterSelect.selectedIndex].text;
+    const periodLabel = uiManager.getPeriodLabel();
+    const searchQuery = uiManager.getSearchQuery();
+    this._printWithMode(
+      "details",
+      [itemName, periodLabel, searchQuery && `検索_${searchQuery}`]
+        .filter(Boolean)
+        .join("_"),
+    );
+  },
+
+  handleChangePeriodFilter() {
+    uiManager.renderCustomRangeInputs();
+    uiManager.renderAccountingTable();
+  },
+
+  handlePrintMonthlySummary() {
+    const monthlySummary = dataProcessor.calculateMonthlySummary(
+      applicationState.accountingRecords,
+      applicationState.selectedFiscalYear,
+    );
+    uiManager.renderMonthlySummary(monthlySummary);
+    this._printWithMode("monthly", "月次収支表");
+  },
+
+  handlePrintSummaryReport() {
+    const summaryData = dataProcessor.calculateSummary(
+      applicationState.accountingRecords,
+      applicationState.budgets,
+    );
+    uiManager.renderSummaryReport(summaryData);
+    this._printWithMode("summary", "決算報告書");
+  },
+
+  handlePrintCashBook() {
+    const cashBook = dataProcessor.buildCashBook(
+      applicationState.accountingRecords,
+    );
+    uiManager.renderCashBook(cashBook);
+    this._printWithMode("cashbook", "現金出納帳");
+  },
+
+  initializeApplication() {
+    uiManager.renderYearOptions();
+    uiManager.renderStorageNotice();
+    uiManager.resetInputForm();
+    apiService.onSessionExpired = () => this.handleSessionExpired();
+    window.addEventListener("online", () => {
+      if (applicationState.sessionToken) {
+        this.syncPendingRecords();
+      }
+    });
+    window.addEventListener("beforeunload", (event) => {
+      if (
+        applicationState.hasUnsavedMembers ||
+        applicationState.hasUnsavedCollections
+      ) {
+        event.preventDefault();
+      }
+    });
+    this._resumeSession();
+  },
+};
+
+// --- グローバルインターフェース ---
+const app = {
+  handleLogin: () => appController.handleLogin(),
+  handleLogout: () => appController.handleLogout(),
+  handleSaveNewRecord: () => appController.handleSaveNewRecord(),
+  handleSaveAnyway: () => appController.handleSaveAnyway(),
+  handleToggleSplitMode: (isSplitMode) =>
+    appController.handleToggleSplitMode(isSplitMode),
+  handleAddSplitLine: () => appController.handleAddSplitLine(),
+  handleRemoveSplitLine: (index) => appController.handleRemoveSplitLine(index),
+  handleEditSplitLine: (index, field, value) =>
+    appController.handleEditSplitLine(index, field, value),
+  renderSplitRemaining: () => uiManager.renderSplitRemaining(),
+  handleRetryPendingRecord: (id) => appController.handleRetryPendingRecord(id),
+  handleDiscardPendingRecord: (id) =>
+    appController.handleDiscardPendingRecord(id),
+  handleSelectReceiptFiles: (files) =>
+    appController.handleSelectReceiptFiles(files),
+  handleRemoveInputReceipt: (index) =>
+    appController.handleRemoveInputReceipt(index),
+  handleShowReceipts: (recordId) => appController.handleShowReceipts(recordId),
+  hideReceiptViewer: () => uiManager.hideReceiptViewer(),
+  handleToggleAuditMode: (isAuditMode) =>
+    appController.handleToggleAuditMode(isAuditMode),
+  handleToggleVerified: (recordId, isVerified) =>
+    appController.handleToggleVerified(recordId, isVerified),
+  handleEditAuditComment: (recordId) =>
+    appController.handleEditAuditComment(recordId),
+  handlePrintAuditReport: () => appController.handlePrintAuditReport(),
+  handleEditRecord: (recordId) => appController.handleEditRecord(recordId),
+  handleUpdateRecord: () => appController.handleUpdateRecord(),
+  handleCancelEdit: () => appController.handleCancelEdit(),
+  handleDeleteRecord: (recordId) => appController.handleDeleteRecord(recordId),
+  switchTab: (tabName) => appController.handleSwitchTab(tabName),
+  renderTransferFields: () => uiManager.renderTransferFields(),
+  handleShowHistory: () => appController.handleShowHistory(),
+  handleRestoreRecord: (recordId) =>
+    appController.handleRestoreRecord(recordId),
+  handlePrintHistory: () => appController.handlePrintHistory(),
+  handlePrintDashboard: () => appController.handlePrintDashboard(),
+  handleShowMembers: () => appController.handleShowMembers(),
+  handleAddMember: () => appController.handleAddMember(),
+  handleEditMember: (memberId, field, value) =>
+    appController.handleEditMember(memberId, field, value),
+  handleMarkMemberPaid: (memberId) =>
+    appController.handleMarkMemberPaid(memberId),
+  handleRemoveMember: (memberId) => appController.handleRemoveMember(memberId),
+  handleSaveMembers: () => appController.handleSaveMembers(),
+  handlePrintUnpaidMembers: () => appController.handlePrintUnpaidMembers(),
+  handleShowPayeeReport: (payee) => appController.handleShowPayeeReport(payee),
+  handleMergePayees: () => appController.handleMergePayees(),
+  handleShowReimbursements: () => appController.handleShowReimbursements(),
+  handleSelectReimbursementReceipts: (files) =>
+    appController.handleSelectReimbursementReceipts(files),
+  handleRemoveReimbursementReceipt: (index) =>
+    appController.handleRemoveReimbursementReceipt(index),
+  handleSubmitReimbursement: () => appController.handleSubmitReimbursement(),
+  handleApproveReimbursement: (reimbursementId) =>
+    appController.handleApproveReimbursement(reimbursementId),
+  handleRejectReimbursement: (reimbursementId) =>
+    appController.handleRejectReimbursement(reimbursementId),
+  handleShowReimbursementReceipts: (reimbursementId) =>
+    appController.handleShowReimbursementReceipts(reimbursementId),
+  handlePrintReimbursement: (reimbursementId) =>
+    appController.handlePrintReimbursement(reimbursementId),
+  handleShowCollections: () => appController.handleShowCollections(),
+  handleAddCollection: () => appController.handleAddCollection(),
+  handleLinkCollection: (collectionId, recordId) =>
+    appController.handleLinkCollection(collectionId, recordId),
+  handleRemoveCollection: (collectionId) =>
+    appController.handleRemoveCollection(collectionId),
+  handleSaveCollections: () => appController.handleSaveCollections(),
+  handlePrintCollectionReport: () =>
+    appController.handlePrintCollectionReport(),
+  renderStorageNotice: () => uiManager.renderStorageNotice(),
+  renderAccountingTable: () => uiManager.renderAccountingTable(),
+  updateTotalsDisplay: () => uiManager.updateTotalsDisplay(),
+  updateBudgetTotals: () => uiManager.updateBudgetTotals(),
+  handleSaveBudgets: () => appController.handleSaveBudgets(),
+  handleRenameItemDraft: (draftIndex, newName) =>
+    appController.handleRenameItemDraft(draftIndex, newName),
+  handleSetItemPurposeDraft: (draftIndex, purpose) =>
+    appController.handleSetItemPurposeDraft(draftIndex, purpose),
+  handleToggleItemDraft: (draftIndex, isActive) =>
+    appController.handleToggleItemDraft(draftIndex, isActive),
+  handleMoveItemDraft: (draftIndex, direction) =>
+    appController.handleMoveItemDraft(draftIndex, direction),
+  handleAddItemDraft: () => appController.handleAddItemDraft(),
+  handleSaveItemMaster: () => appController.handleSaveItemMaster(),
+  handleExportCsv: () => appController.handleExportCsv(),
+  handleSelectCsvFile: (file) => appController.handleSelectCsvFile(file),
+  handleChangeCsvMapping: () => appController.handleChangeCsvMapping(),
+  handleImportCsv: () => appController.handleImportCsv(),
+  handlePrintReport: () => appController.handlePrintReport(),
+  handlePrintSummaryReport: () => appController.handlePrintSummaryReport(),
+  handlePrintCashBook: () => appController.handlePrintCashBook(),
+  handleChangePeriodFilter: () => appController.handleChangePeriodFilter(),
+  handlePrintMonthlySummary: () => appController.handlePrintMonthlySummary(),
+};
+
+appController.initializeApplication();
\ No newline at end of file
@@ -0,0 +1,143 @@
+/**
+ * @file years.js
+ * @description 年度設定レジストリ。
+ * ポータル（/index.html）と会計アプリ（/app/）の両方から読み込まれ、年度ごとの違いをここに集約します。
+ * - endpoint: その年度の記録を保存しているGoogle Apps ScriptのURL
+ * - items: バックエンドに項目マスタが未登録の場合に使う既定の項目一覧
+ * - label: 年度選択やポータルに表示する名称
+ * - readOnly: trueの年度は閲覧・帳票出力のみ可能（書き込み不可）
+ * - storage: 保存先。省略時は "googleAppsScript"、"local" にするとサーバー無しでブラウザ内に保存します
+ * - accounts: お金を置いている口座の一覧。先頭の口座は、口座の指定が無い以前の記録の既定になります
+ * - membershipFee: 1世帯あたりの会費（省略可）。会員名簿で「納入」を押したときの金額の初期値になります
+ * - recyclingMaterials: 資源回収で扱う品目の一覧（省略時は 新聞・段ボール・アルミ缶）
+ * - validation: 入力チェックの設定（省略可）。例: { largeAmount: 50000, levels: { futureDate: "error" } }
+ *   levels には規則ごとに "error"（保存不可）/ "warning"（確認の上で保存可）/ "off"（確認しない）を指定します
+ * 新しい年度を追加するときは、FISCAL_YEAR_REGISTRYに1行追加するだけで済みます。
+ */
+
+const GAS_ENDPOINT_2025 =
+  "https://script.google.com/macros/s/AKfycbzT6TAja9-u1ShiuioVlvxLZSoQxMUCpSR5tTSHDfnDCnjHqhmc7VWZbdojP7b3uFJIMw/exec";
+const GAS_ENDPOINT_2026 =
+  "https://script.google.com/macros/s/AKfycbwp8nbOKPiplylTgEH_-RG5t09x_p0yG_TflpqO0GDp__iRGJSQJcbV37e8_fIdxD0ZDA/exec";
+
+const INCOME_ITEM_NAMES = [
+  "前年度繰越金",
+  "本年度会費",
+  "資源回収収益",
+  "決算利息",
+  "その他収入",
+];
+
+const ACCOUNTS = ["通帳", "手元現金"];
+
+const ITEMS_2025 = {
+  income: INCOME_ITEM_NAMES,
+  expense: [
+    "備品・消耗品費",
+    "お楽しみ会",
+    "お泊り会おみやげ",
+    "運動会景品",
+    "卒園進級記念品代",
+    "学年末お礼代",
+    "クラス担任アルバム",
+    "慶弔費",
+    "札幌私立幼稚園PTA連合会会費",
+    "日本スポーツ振興センター負担金",
+    "幼稚園寄付金",
+    "用紙・印刷代",
+    "通信費",
+    "予備費",
+  ],
+};
+
+const ITEMS_2026 = {
+  income: INCOME_ITEM_NAMES,
+  expense: [
+    "お泊り会おみやげ",
+    "運動会景品",
+    "野外給食",
+    "お楽しみ会",
+    "卒園進級記念品代",
+    "クラス担任アルバム",
+    "お花代",
+    "教職員お礼代",
+    "慶弔費",
+    "札幌私立幼稚園PTA連合会会費",
+    "日本スポーツ振興センター負担金",
+    "通信費",
+    "備品・消耗品費",
+    "用紙・印刷代",
+    "予備費",
+  ],
+};
+
+const FISCAL_YEAR_REGISTRY = [
+  {
+    year: "2025",
+    label: "2025年度（ベータ版）",
+    endpoint: GAS_ENDPOINT_2025,
+    items: ITEMS_2025,
+    accounts: ACCOUNTS,
+    readOnly: true,
+  },
+  {
+    year: "2026",
+    label: "2026年度",
+    endpoint: GAS_ENDPOINT_2026,
+    items: ITEMS_2026,
+    accounts: ACCOUNTS,
+    readOnly: false,
+  },
+  {
+    year: "2027",
+    label: "2027年度",
+    endpoint: GAS_ENDPOINT_2026,
+    items: ITEMS_2026,
+    accounts: ACCOUNTS,
+    readOnly: false,
+  },
+  {
+    year: "2028",
+    label: "2028年度",
+    endpoint: GAS_ENDPOINT_2026,
+    items: ITEMS_2026,
+    accounts: ACCOUNTS,
+    readOnly: false,
+  },
+  {
+    year: "2029",
+    label: "2029年度",
+    endpoint: GAS_ENDPOINT_2026,
+    items: ITEMS_2026,
+    accounts: ACCOUNTS,
+    readOnly: false,
+  },
+  {
+    year: "2030",
+    label: "2030年度",
+    endpoint: GAS_ENDPOINT_2026,
+    items: ITEMS_2026,
+    accounts: ACCOUNTS,
+    readOnly: false,
+  },
+];
+
+const fiscalYearRegistry = {
+  list: () => FISCAL_YEAR_REGISTRY,
+
+  find: (year) => FISCAL_YEAR_REGISTRY.find((config) => config.year === year),
+
+  // Why: 会計年度は4月始まりのため、1〜3月は前年の年度として扱います。
+  getCurrentFiscalYear(today = new Date()) {
+    const year = today.getFullYear();
+    return String(today.getMonth() < 3 ? year - 1 : year);
+  },
+
+  // Why: 今日が属する年度が未登録の場合は、登録済みの最新年度を既定にします。
+  getDefaultYear() {
+    const currentYear = this.getCurrentFiscalYear();
+    return this.find(currentYear)
+      ? currentYear
+      : FISCAL_YEAR_REGISTRY[FISCAL_YEAR_REGISTRY.length - 1].year;
+  },
+};